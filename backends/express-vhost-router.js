@@ -32,6 +32,21 @@
 
 'use strict'
 
+import { HostMatcher }      from '../src/host-matcher.js'
+
+
+// Mount path prefix match on segment boundaries, case-insensitive like app.use()
+function pathHasPrefix(url, basePath) {
+    if(basePath === '/') {
+        return true
+    }
+
+    const pathname = url.split('?')[0].toLowerCase()
+    const prefix = basePath.toLowerCase()
+
+    return pathname === prefix || pathname.startsWith(prefix + '/')
+}
+
 
 /*
  * Express vhost router middleware
@@ -42,13 +57,27 @@
  *
  */
 class ExpressVhostRouter {
-    _hostDictionary = {}
+    _matcher = new HostMatcher()
+
+    // Host pattern and priority => mounts for it, longest base path first
+    _mounts = new Map()
 
     constructor() {
 
     }
 
-    middleware(trustProxy = false) {
+    /*
+     * trustProxy: route on req.hostname, which takes forwarded hosts from
+     * trusted proxies, instead of the Host header
+     *
+     * defaultHost(req): host to route to when nothing matches, e.g. the
+     * default vhost of the listener the request came in on
+     *
+     * The best matching host with a mount whose base path prefixes the
+     * request path wins, then the longest base path. Captured host
+     * parameters are set as req.vhostParams.
+     */
+    middleware(trustProxy = false, defaultHost = null) {
         return (req, res, next) => {
             if(!req.headers.host) {
                 return next()
@@ -56,39 +85,110 @@ class ExpressVhostRouter {
 
             let host = req.headers.host.split(':')[0]
 
-            if(trustProxy && req.headers["x-forwarded-host"]) {
-                host = req.headers["x-forwarded-host"].split(':')[0]
+            // req.hostname follows the app's trust proxy setting
+            if(trustProxy && req.hostname) {
+                host = req.hostname
             }
 
-            let app = this._hostDictionary[host]
+            let found = this._findMount(host, req.url)
 
-            if(!app) {
-                app = this._hostDictionary['*' + host.substr(host.indexOf('.'))]
+            if(found === null && defaultHost !== null) {
+                found = this._findMount(defaultHost(req), req.url)
             }
 
-            if(!app) {
+            if(found === null) {
                 return next()
             }
 
+            req.vhostParams = found.params
+
+            this._dispatch(found.mount, req, res, next)
+        }
+    }
+
+
+    _findMount(host, url) {
+        for(const match of this._matcher.matchAll(host)) {
+            const mount = match.value.find(mount => pathHasPrefix(url, mount.basePath))
+
+            if(mount !== undefined) {
+                return { 'mount': mount, 'params': match.params }
+            }
+        }
+
+        return null
+    }
+
+
+    // Strip the base path from req.url and set req.baseUrl, as mounting with app.use() does
+    _dispatch(mount, req, res, next) {
+        const app = mount.app
+
+        if(mount.basePath === '/') {
             if(typeof app === 'function') {
                 return app(req, res, next)
             }
 
-            app.emit('request', req, res)
+            return app.emit('request', req, res)
+        }
+
+        const parentUrl     = req.baseUrl || ''
+        const originalUrl   = req.url
+
+        req.url = req.url.slice(mount.basePath.length)
+
+        if(!req.url.startsWith('/')) {
+            req.url = '/' + req.url
         }
+
+        req.baseUrl = parentUrl + originalUrl.slice(0, mount.basePath.length)
+
+        const restore = (error) => {
+            req.url     = originalUrl
+            req.baseUrl = parentUrl
+            next(error)
+        }
+
+        if(typeof app === 'function') {
+            return app(req, res, restore)
+        }
+
+        app.emit('request', req, res)
     }
 
 
-    register(host, app) {
-        this._hostDictionary[host] = app
+    /*
+     * host: any pattern supported by HostMatcher, higher priority wins
+     * basePath: path prefix like '/api' the app is mounted on
+     */
+    register(host, app, priority = 0, basePath = '/') {
+        const key = `${String(host)}\u0000${priority}`
+
+        let mounts = this._mounts.get(key)
+
+        if(mounts === undefined) {
+            mounts = []
+            this._matcher.add(host, mounts, priority)
+            this._mounts.set(key, mounts)
+        }
+
+        if(mounts.some(mount => mount.basePath === basePath)) {
+            throw new Error(`Vhost ${host} is already registered on path ${basePath}`)
+        }
+
+        mounts.push({ 'basePath': basePath, 'app': app })
+        mounts.sort((a, b) => b.basePath.length - a.basePath.length)
     }
 
 
-    getApp(host) {
-        return this._hostDictionary[host]
+    getApp(host, url = '/') {
+        const found = this._findMount(host, url)
+        return found !== null ? found.mount.app : undefined
     }
 
 }
 
 
+export { ExpressVhostRouter }
+
 export default new ExpressVhostRouter()
@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+//
+//
+// Unnode.js - A Node.js back end framework
+//
+// https://unnodejs.org
+//
+// Copyright (c) 2020, 2021 RicForge - https://ricforge.com
+//
+// RicForge is a Nurminen Development Oy Ltd organization - https://nurminen.dev
+//
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to
+// deal in the Software without restriction, including without limitation the
+// rights to use, copy, modify, merge, publish, distribute, sublicense, and/or
+// sell copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+// FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+// DEALINGS IN THE SOFTWARE.
+//
+//
+
+
+'use strict'
+
+import path                     from 'node:path'
+
+import { sendControlCommand }   from '../src/control.js'
+
+
+const usage = `Usage: unnode ctl [--socket <path>] [--dir <serverDir>] <command> [args...]
+
+Commands:
+  status                  Show master and worker status
+  restart                 Restart all workers
+  reload-tls              Reload TLS certificates in all workers
+  scale <n>               Scale the worker pool to n workers
+  set-log-level <level>   Set log level (emerg, alert, crit, error, warning, notice, info, debug)
+  shutdown                Gracefully shut down the master and all workers
+
+The control socket path defaults to UNNODE_CONTROL_SOCKET. A relative path
+is resolved against the server directory, like the master does; --dir
+defaults to the current directory.`
+
+
+async function ctl(argv) {
+    let socketPath  = process.env.UNNODE_CONTROL_SOCKET
+    let serverDir   = process.cwd()
+
+    while(argv[0] === '--socket' || argv[0] === '--dir') {
+        if(argv[0] === '--socket') {
+            socketPath = argv[1]
+        } else {
+            serverDir = argv[1]
+        }
+        argv = argv.slice(2)
+    }
+
+    const [command, ...args] = argv
+
+    if(!command || !socketPath || !serverDir) {
+        console.error(usage)
+        return 1
+    }
+
+    try {
+        const result = await sendControlCommand(path.resolve(serverDir, socketPath), command, args)
+        console.log(JSON.stringify(result, null, 2))
+        return 0
+    } catch(error) {
+        console.error(`unnode ctl: ${error.message}`)
+        return 1
+    }
+}
+
+
+const [subCommand, ...argv] = process.argv.slice(2)
+
+if(subCommand === 'ctl') {
+    process.exitCode = await ctl(argv)
+} else {
+    console.error(usage)
+    process.exitCode = 1
+}
@@ -0,0 +1,395 @@
+//
+//
+// Unnode.js - A Node.js back end framework
+//
+// https://unnodejs.org
+//
+// Copyright (c) 2020, 2021 RicForge - https://ricforge.com
+//
+// RicForge is a Nurminen Development Oy Ltd organization - https://nurminen.dev
+//
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to
+// deal in the Software without restriction, including without limitation the
+// rights to use, copy, modify, merge, publish, distribute, sublicense, and/or
+// sell copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+// FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+// DEALINGS IN THE SOFTWARE.
+//
+//
+
+
+
+'use strict'
+
+import fs                           from 'fs'
+import path                         from 'path'
+import https                        from 'https'
+import crypto                       from 'crypto'
+
+import * as utils                   from './utils.js'
+import { compileHostPattern }       from './host-matcher.js'
+
+
+/*
+
+Minimal ACME (RFC 8555) client: account registration, orders with HTTP-01
+challenges, CSR generation and certificate download. Account and
+certificate keys are ECDSA P-256.
+
+*/
+
+
+const ACME_CHALLENGE_PATH = '/.well-known/acme-challenge/'
+
+
+function base64url(data) {
+    return Buffer.from(data).toString('base64url')
+}
+
+
+//
+// DER encoding, just enough for a PKCS#10 certificate signing request
+//
+function der(tag, content) {
+    let length = null
+
+    if(content.length < 0x80) {
+        length = Buffer.from([content.length])
+    } else {
+        const bytes = []
+        for(let remaining = content.length; remaining > 0; remaining >>= 8) {
+            bytes.unshift(remaining & 0xff)
+        }
+        length = Buffer.from([0x80 | bytes.length, ...bytes])
+    }
+
+    return Buffer.concat([Buffer.from([tag]), length, content])
+}
+
+const derSequence   = (...items) => der(0x30, Buffer.concat(items))
+const derSet        = (...items) => der(0x31, Buffer.concat(items))
+const derUtf8       = (str) => der(0x0c, Buffer.from(str, 'utf8'))
+const derOctets     = (buf) => der(0x04, buf)
+const derBits       = (buf) => der(0x03, Buffer.concat([Buffer.from([0]), buf]))
+
+function derOid(dotted) {
+    const [first, second, ...rest] = dotted.split('.').map(Number)
+    const bytes = [first * 40 + second]
+
+    rest.forEach((value) => {
+        const encoded = [value & 0x7f]
+        for(value = Math.floor(value / 128); value > 0; value = Math.floor(value / 128)) {
+            encoded.unshift((value & 0x7f) | 0x80)
+        }
+        bytes.push(...encoded)
+    })
+
+    return der(0x06, Buffer.from(bytes))
+}
+
+
+// DER encoded CSR for domains, first domain as common name, all as SANs
+function createCsr(domains, privateKey) {
+    const publicKey = crypto.createPublicKey(privateKey).export({ 'format': 'der', 'type': 'spki' })
+
+    // Common name is limited to 64 characters, SANs are what counts anyway
+    const subject = domains[0].length <= 64
+        ? derSequence(derSet(derSequence(derOid('2.5.4.3'), derUtf8(domains[0]))))
+        : derSequence()
+
+    const subjectAltNames = derSequence(...domains.map(domain => der(0x82, Buffer.from(domain, 'ascii'))))
+
+    const extensionRequest = der(0xa0, derSequence(
+        derOid('1.2.840.113549.1.9.14'),
+        derSet(derSequence(derSequence(derOid('2.5.29.17'), derOctets(subjectAltNames))))
+    ))
+
+    const requestInfo = derSequence(Buffer.from([0x02, 0x01, 0x00]), subject, publicKey, extensionRequest)
+
+    // ecdsa-with-SHA256
+    const signature = crypto.sign('sha256', requestInfo, privateKey)
+
+    return derSequence(requestInfo, derSequence(derOid('1.2.840.10045.4.3.2')), derBits(signature))
+}
+
+
+function generateKey() {
+    return crypto.generateKeyPairSync('ec', { 'namedCurve': 'prime256v1' }).privateKey
+}
+
+
+/*
+ * Exact host vhosts of server config entries without a manual secureContext.
+ * Entries on other base paths of the same host share the first certificate.
+ */
+function acmeDomainGroups(serverConfig) {
+    const claimed   = new Set()
+    const groups    = []
+
+    serverConfig
+        .filter(config => !(config.secureContext && utils.isObject(config.secureContext)))
+        .forEach((config) => {
+            const domains = config.vhost.filter(vhost => typeof vhost === 'string' && vhost !== '*'
+                && compileHostPattern(vhost).type === 'exact' && !claimed.has(vhost))
+
+            domains.forEach(domain => claimed.add(domain))
+
+            if(domains.length > 0) {
+                groups.push(domains)
+            }
+        })
+
+    return groups
+}
+
+
+// Key and certificate chain locations for a domain group under acmeDir
+function acmeCertificatePaths(acmeDir, domains) {
+    return {
+        'key':  path.join(acmeDir, domains[0], 'privkey.pem'),
+        'cert': path.join(acmeDir, domains[0], 'fullchain.pem')
+    }
+}
+
+
+/*
+ * Write key and certificate chain via temp files and rename, so workers
+ * never read a half-written file. Key is written first; a reload between
+ * the two renames fails on key mismatch and keeps the old certificate.
+ */
+function saveCertificate(files, keyPem, chainPem) {
+    fs.mkdirSync(path.dirname(files.key), { 'recursive': true, 'mode': 0o700 })
+
+    const writes = [[files.key, keyPem, 0o600], [files.cert, chainPem, 0o644]]
+
+    writes.forEach(([filePath, data, mode]) => {
+        const tmpPath = `${filePath}.${process.pid}.tmp`
+        fs.writeFileSync(tmpPath, data, { 'mode': mode })
+        fs.renameSync(tmpPath, filePath)
+    })
+}
+
+
+class AcmeError extends Error {
+    constructor(message, problem = null) {
+        super(problem !== null && problem.detail ? `${message}: ${problem.detail}` : message)
+        this.name       = 'AcmeError'
+        this.problem    = problem
+    }
+}
+
+
+class AcmeClient {
+    _directoryUrl   = null
+    _accountKey     = null
+    _agent          = null
+
+    _directory      = null
+    _nonce          = null
+    _kid            = null
+
+
+    /*
+     * options.directoryUrl: ACME directory, e.g. Let's Encrypt or Pebble
+     * options.accountKey: KeyObject, ECDSA P-256
+     * options.ca: extra CA certs trusted for the directory server (Pebble)
+     */
+    constructor(options) {
+        this._directoryUrl  = options.directoryUrl
+        this._accountKey    = options.accountKey
+
+        if(options.ca) {
+            this._agent = new https.Agent({ 'ca': options.ca })
+        }
+    }
+
+
+    get thumbprint() {
+        const { crv, kty, x, y } = this._accountKey.export({ 'format': 'jwk' })
+
+        // RFC 7638: members in lexicographic order, no whitespace
+        const jwk = JSON.stringify({ 'crv': crv, 'kty': kty, 'x': x, 'y': y })
+
+        return base64url(crypto.createHash('sha256').update(jwk).digest())
+    }
+
+
+    keyAuthorization(token) {
+        return `${token}.${this.thumbprint}`
+    }
+
+
+    async register(email = null) {
+        const directory = await this._getDirectory()
+
+        const payload = { 'termsOfServiceAgreed': true }
+
+        if(email !== null) {
+            payload['contact'] = [`mailto:${email}`]
+        }
+
+        const { headers } = await this._post(directory.newAccount, payload, true)
+
+        this._kid = headers.get('location')
+
+        return this._kid
+    }
+
+
+    async newOrder(domains) {
+        const directory = await this._getDirectory()
+
+        const { body, headers } = await this._post(directory.newOrder, {
+            'identifiers': domains.map(domain => ({ 'type': 'dns', 'value': domain }))
+        })
+
+        return { ...body, 'url': headers.get('location') }
+    }
+
+
+    async getResource(url) {
+        return (await this._post(url, null)).body
+    }
+
+
+    async respondToChallenge(url) {
+        return (await this._post(url, {})).body
+    }
+
+
+    async finalize(order, csr) {
+        // Orders turn ready asynchronously once all authorizations are valid
+        await this.waitForStatus(order.url, 'ready', ['pending'])
+
+        await this._post(order.finalize, { 'csr': base64url(csr) })
+
+        return await this.waitForStatus(order.url, 'valid', ['processing', 'pending', 'ready'])
+    }
+
+
+    async downloadCertificate(url) {
+        return (await this._post(url, null, false, 'application/pem-certificate-chain')).text
+    }
+
+
+    // Poll a resource until it reaches status, fail on statuses outside pending
+    async waitForStatus(url, status, pending = ['pending', 'processing'], attempts = 30, interval = 2000) {
+        for(let attempt = 0; attempt < attempts; attempt++) {
+            const resource = await this.getResource(url)
+
+            if(resource.status === status) {
+                return resource
+            }
+
+            if(!pending.includes(resource.status)) {
+                const challengeError = (resource.challenges || []).map(challenge => challenge.error).find(error => error)
+                throw new AcmeError(`${url} became ${resource.status}`, resource.error || challengeError || null)
+            }
+
+            await new Promise(resolve => setTimeout(resolve, interval))
+        }
+
+        throw new AcmeError(`${url} did not become ${status} after ${attempts} attempts`)
+    }
+
+
+    async _getDirectory() {
+        if(this._directory === null) {
+            const res = await utils.fetch(this._directoryUrl, { 'agent': this._agent || undefined })
+            this._directory = await res.json()
+        }
+
+        return this._directory
+    }
+
+
+    async _getNonce() {
+        if(this._nonce !== null) {
+            const nonce = this._nonce
+            this._nonce = null
+            return nonce
+        }
+
+        const directory = await this._getDirectory()
+        const res = await utils.fetch(directory.newNonce, { 'method': 'HEAD', 'agent': this._agent || undefined })
+
+        return res.headers.get('replay-nonce')
+    }
+
+
+    // JWS signed POST, payload null for POST-as-GET. Retries once on badNonce.
+    async _post(url, payload, useJwk = false, accept = 'application/json', retry = true) {
+        const protectedHeader = { 'alg': 'ES256', 'nonce': await this._getNonce(), 'url': url }
+
+        if(useJwk) {
+            protectedHeader['jwk'] = this._accountKey.export({ 'format': 'jwk' })
+        } else {
+            protectedHeader['kid'] = this._kid
+        }
+
+        const protected64   = base64url(JSON.stringify(protectedHeader))
+        const payload64     = payload === null ? '' : base64url(JSON.stringify(payload))
+
+        const signature = crypto.sign('sha256', Buffer.from(`${protected64}.${payload64}`), {
+            'key': this._accountKey,
+            'dsaEncoding': 'ieee-p1363'
+        })
+
+        const [res, error] = await utils.handle(utils.fetch(url, {
+            'method': 'POST',
+            'agent': this._agent || undefined,
+            'headers': { 'Content-Type': 'application/jose+json', 'Accept': accept },
+            'body': JSON.stringify({ 'protected': protected64, 'payload': payload64, 'signature': base64url(signature) })
+        }))
+
+        const response = res || error.httpResponse
+
+        if(response === undefined) {
+            throw error
+        }
+
+        this._nonce = response.headers.get('replay-nonce') || null
+
+        if(error !== undefined) {
+            const [problem] = utils.parseJson(await response.text())
+
+            if(retry && problem && problem.type === 'urn:ietf:params:acme:error:badNonce') {
+                return await this._post(url, payload, useJwk, accept, false)
+            }
+
+            throw new AcmeError(`ACME request to ${url} failed with HTTP ${response.status}`, problem)
+        }
+
+        const text = await response.text()
+
+        return {
+            'headers':  response.headers,
+            'body':     accept === 'application/json' ? utils.parseJson(text)[0] : null,
+            'text':     text
+        }
+    }
+}
+
+
+export {
+    ACME_CHALLENGE_PATH,
+    AcmeClient,
+    AcmeError,
+    createCsr,
+    generateKey,
+    acmeDomainGroups,
+    acmeCertificatePaths,
+    saveCertificate
+}
@@ -0,0 +1,135 @@
+//
+//
+// Unnode.js - A Node.js back end framework
+//
+// https://unnodejs.org
+//
+// Copyright (c) 2020, 2021 RicForge - https://ricforge.com
+//
+// RicForge is a Nurminen Development Oy Ltd organization - https://nurminen.dev
+//
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to
+// deal in the Software without restriction, including without limitation the
+// rights to use, copy, modify, merge, publish, distribute, sublicense, and/or
+// sell copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+// FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+// DEALINGS IN THE SOFTWARE.
+//
+//
+
+
+
+'use strict'
+
+import fs                           from 'fs'
+import { X509Certificate }          from 'crypto'
+
+import * as utils                   from './utils.js'
+
+
+/*
+
+TLS certificate helpers for hot reloading: reading key / cert / CA files,
+describing certificates for logging, and watching the files for changes.
+
+*/
+
+
+/*
+ * Read { key, cert, ca } file paths into tls.createSecureContext() options.
+ * ca is optional. Throws if a file can't be read or the cert doesn't parse.
+ */
+function readCertificateFiles(files, label) {
+    const key   = utils.readFileSync(files.key)
+    const cert  = utils.readFileSync(files.cert)
+    const ca    = files.ca ? utils.readFileSync(files.ca) : null
+
+    if(key === null) {
+        throw new Error(`Unable to read TLS key for ${label} from ${files.key || '(not configured)'}`)
+    }
+
+    if(cert === null) {
+        throw new Error(`Unable to read TLS cert for ${label} from ${files.cert || '(not configured)'}`)
+    }
+
+    if(files.ca && ca === null) {
+        throw new Error(`Unable to read trusted CA certs for ${label} from ${files.ca || '(not configured)'}`)
+    }
+
+    // Fail early on a half-written certificate file
+    try {
+        certificateInfo(cert)
+    } catch(error) {
+        throw new Error(`Invalid TLS cert for ${label} in ${files.cert}: ${error.message}`)
+    }
+
+    const options = { 'key': key, 'cert': cert }
+
+    if(ca !== null) {
+        options['ca'] = ca
+    }
+
+    return options
+}
+
+
+// Subject and expiry of the first (leaf) certificate in a PEM bundle
+function certificateInfo(certData) {
+    const certificate = new X509Certificate(certData)
+
+    const commonName = (certificate.subject.match(/^CN=(.*)$/m) || [])[1] || certificate.subject
+
+    const altNames = (certificate.subjectAltName || '').split(', ')
+        .filter(name => name.startsWith('DNS:'))
+        .map(name => name.slice(4))
+
+    return {
+        'subject':      commonName,
+        'altNames':     altNames,
+        'validTo':      new Date(certificate.validTo),
+        'daysLeft':     Math.floor((new Date(certificate.validTo) - Date.now()) / 86400000)
+    }
+}
+
+
+/*
+ * Poll files for changes (fs.watchFile works across renames and symlink
+ * swaps done by certificate renewal tools) and call onChange once per burst
+ * of changes. Returns a function that stops watching.
+ */
+function watchFiles(paths, onChange, interval = 10000, debounce = 1000) {
+    const uniquePaths = [...new Set(paths.filter(filePath => typeof filePath === 'string' && filePath.length > 0))]
+
+    let timer = null
+
+    const listener = (current, previous) => {
+        if(current.mtimeMs === previous.mtimeMs && current.ino === previous.ino) {
+            return
+        }
+
+        clearTimeout(timer)
+        timer = setTimeout(onChange, debounce)
+    }
+
+    uniquePaths.forEach(filePath => fs.watchFile(filePath, { 'interval': interval }, listener))
+
+    return () => {
+        clearTimeout(timer)
+        uniquePaths.forEach(filePath => fs.unwatchFile(filePath, listener))
+    }
+}
+
+
+export { readCertificateFiles, certificateInfo, watchFiles }
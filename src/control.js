@@ -0,0 +1,253 @@
+//
+//
+// Unnode.js - A Node.js back end framework
+//
+// https://unnodejs.org
+//
+// Copyright (c) 2020, 2021 RicForge - https://ricforge.com
+//
+// RicForge is a Nurminen Development Oy Ltd organization - https://nurminen.dev
+//
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to
+// deal in the Software without restriction, including without limitation the
+// rights to use, copy, modify, merge, publish, distribute, sublicense, and/or
+// sell copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+// FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+// DEALINGS IN THE SOFTWARE.
+//
+//
+
+
+'use strict'
+
+import fs                   from 'node:fs'
+import net                  from 'node:net'
+
+import { masterLogger }     from './logger.js'
+import * as utils           from './utils.js'
+
+
+/*
+
+Master admin control socket
+
+Listens on a Unix domain socket and speaks newline-delimited JSON.
+
+Request:   {"command": "scale", "args": [4]}
+Response:  {"ok": true, "result": ...} or {"ok": false, "error": "..."}
+
+Command handlers are registered by the master with registerCommand(), they
+receive the request args and may return a value or a Promise.
+
+*/
+class UnnodeControlServer {
+    _server     = null
+    _socketPath = null
+    _commands   = {}
+
+
+    registerCommand(command, handler) {
+        if(typeof handler === 'function') {
+            this._commands[command] = handler
+        }
+    }
+
+
+    async listen(socketPath) {
+        await this._removeStaleSocket(socketPath)
+
+        this._socketPath = socketPath
+
+        this._server = net.createServer(this._handleConnection.bind(this))
+
+        await new Promise((resolve, reject) => {
+            this._server.once('error', reject)
+            this._server.listen(socketPath, () => {
+                this._server.removeListener('error', reject)
+                resolve()
+            })
+        })
+
+        // Only the user running the master may control it
+        fs.chmodSync(socketPath, 0o600)
+
+        this._server.on('error', (error) => {
+            masterLogger.safeError('error', 'Control socket error', error)
+        })
+
+        masterLogger.log('info', `Control socket listening on ${socketPath}`)
+
+        return true
+    }
+
+
+    close() {
+        return new Promise((resolve) => {
+            if(this._server === null) {
+                return resolve()
+            }
+
+            this._server.close(() => {
+                masterLogger.log('debug', 'Control socket closed.')
+                resolve()
+            })
+
+            this._server = null
+        })
+    }
+
+
+    async _removeStaleSocket(socketPath) {
+        if(!fs.existsSync(socketPath)) {
+            return
+        }
+
+        // Never delete anything but a socket, e.g. a file at a misconfigured path
+        if(!fs.lstatSync(socketPath).isSocket()) {
+            throw new Error(`Control socket path ${socketPath} exists and is not a socket`)
+        }
+
+        // If something still answers on the socket, another master owns it
+        const inUse = await new Promise((resolve) => {
+            const probe = net.connect(socketPath)
+            probe.once('connect', () => {
+                probe.destroy()
+                resolve(true)
+            })
+            probe.once('error', () => resolve(false))
+        })
+
+        if(inUse) {
+            throw new Error(`Control socket ${socketPath} is already in use by another process`)
+        }
+
+        fs.unlinkSync(socketPath)
+    }
+
+
+    _handleConnection(socket) {
+        let buffer = ''
+
+        socket.setEncoding('utf8')
+
+        socket.on('data', (data) => {
+            buffer += data
+
+            let newline
+
+            while((newline = buffer.indexOf('\n')) !== -1) {
+                const line = buffer.substring(0, newline).trim()
+                buffer = buffer.substring(newline + 1)
+
+                if(line.length > 0) {
+                    this._handleRequest(socket, line)
+                }
+            }
+        })
+
+        socket.on('error', () => { })
+    }
+
+
+    async _handleRequest(socket, line) {
+        const [request, parseError] = utils.parseJson(line)
+
+        let response
+
+        if(parseError !== null || !utils.isObject(request)) {
+            response = { ok: false, error: 'Invalid request (expected a JSON object)' }
+        } else if(!Object.keys(this._commands).includes(request.command)) {
+            response = { ok: false, error: `Unknown command: ${request.command}` }
+        } else {
+            const args = Array.isArray(request.args) ? request.args : []
+
+            masterLogger.log('debug', `Control socket command: ${request.command} ${args.join(' ')}`)
+
+            const handler = this._commands[request.command]
+
+            const [result, error] = await utils.handle(Promise.resolve().then(() => handler(...args)))
+
+            if(error !== undefined) {
+                response = { ok: false, error: utils.safeError(error) }
+            } else {
+                response = { ok: true, result: result === undefined ? null : result }
+            }
+        }
+
+        if(socket.writable) {
+            socket.write(JSON.stringify(response) + '\n')
+        }
+    }
+
+}
+
+
+/*
+ * Send a single command to a master control socket, resolves with the
+ * command result or rejects with the error returned by the master
+ */
+function sendControlCommand(socketPath, command, args = [], timeout = 10000) {
+    return new Promise((resolve, reject) => {
+        const socket = net.connect(socketPath)
+
+        let buffer = ''
+
+        const requestTimeout = setTimeout(() => {
+            socket.destroy()
+            reject(new Error(`Control command timed out after ${timeout} ms`))
+        }, timeout)
+
+        socket.setEncoding('utf8')
+
+        socket.once('connect', () => {
+            socket.write(JSON.stringify({ command: command, args: args }) + '\n')
+        })
+
+        socket.on('data', (data) => {
+            buffer += data
+
+            const newline = buffer.indexOf('\n')
+
+            if(newline === -1) {
+                return
+            }
+
+            clearTimeout(requestTimeout)
+            socket.end()
+
+            const [response, parseError] = utils.parseJson(buffer.substring(0, newline))
+
+            if(parseError !== null || !utils.isObject(response)) {
+                return reject(new Error('Invalid response from control socket'))
+            }
+
+            if(response.ok === true) {
+                resolve(response.result)
+            } else {
+                reject(new Error(response.error))
+            }
+        })
+
+        socket.on('error', (error) => {
+            clearTimeout(requestTimeout)
+            reject(error)
+        })
+    })
+}
+
+
+export const controlServer = new UnnodeControlServer()
+
+export { sendControlCommand }
@@ -0,0 +1,224 @@
+//
+//
+// Unnode.js - A Node.js back end framework
+//
+// https://unnodejs.org
+//
+// Copyright (c) 2020, 2021 RicForge - https://ricforge.com
+//
+// RicForge is a Nurminen Development Oy Ltd organization - https://nurminen.dev
+//
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to
+// deal in the Software without restriction, including without limitation the
+// rights to use, copy, modify, merge, publish, distribute, sublicense, and/or
+// sell copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+// FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+// DEALINGS IN THE SOFTWARE.
+//
+//
+
+
+
+'use strict'
+
+
+/*
+
+Host matching shared by the vhost router and the TLS SNI callback.
+
+Pattern forms:
+
+  example.com                   exact host
+  *.example.com                 any subdomain, any depth (a.example.com, a.b.example.com)
+  api.*.example.com             * elsewhere matches exactly one label
+  :tenant.example.com           one label, captured as params.tenant
+  /^(?<tenant>\w+)\.test$/i     regular expression (string or RegExp), named
+                                groups are captured as params, g and y flags
+                                are ignored
+  *                             any host
+
+Hosts are matched case-insensitively. The best match wins: higher priority
+first, then exact hosts, then label patterns with more literal labels (fixed
+depth before a leading *), then regular expressions, then the catch-all. Ties go to the first registered.
+
+*/
+
+
+const PARAM_LABEL = /^:([A-Za-z_][A-Za-z0-9_]*)$/
+const REGEX_STRING = /^\/(.+)\/([a-z]*)$/
+
+
+function escapeRegExp(str) {
+    return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+
+// The g and y flags make exec() continue from lastIndex, so the same host
+// would alternate between matching and not matching
+function statelessRegExp(source, flags) {
+    return new RegExp(source, flags.replace(/[gy]/g, ''))
+}
+
+
+/*
+ * Compile a pattern to { type, literals, fixedDepth, regexp }. Throws on an invalid
+ * pattern so config errors surface at startup.
+ */
+function compileHostPattern(pattern) {
+    if(pattern instanceof RegExp) {
+        return { 'type': 'regexp', 'literals': 0, 'fixedDepth': false, 'regexp': statelessRegExp(pattern.source, pattern.flags) }
+    }
+
+    if(typeof pattern !== 'string' || pattern.length === 0) {
+        throw new Error('Host pattern must be a non-empty string or a RegExp')
+    }
+
+    const regexString = pattern.match(REGEX_STRING)
+
+    if(regexString !== null) {
+        try {
+            return { 'type': 'regexp', 'literals': 0, 'fixedDepth': false, 'regexp': statelessRegExp(regexString[1], regexString[2]) }
+        } catch(error) {
+            throw new Error(`Invalid host pattern ${pattern}: ${error.message}`)
+        }
+    }
+
+    if(pattern === '*') {
+        return { 'type': 'any', 'literals': 0, 'fixedDepth': false, 'regexp': null }
+    }
+
+    const labels = pattern.toLowerCase().split('.')
+
+    if(labels.some(label => label.length === 0)) {
+        throw new Error(`Invalid host pattern ${pattern}: empty label`)
+    }
+
+    if(labels.every(label => label !== '*' && !label.startsWith(':'))) {
+        return { 'type': 'exact', 'literals': labels.length, 'fixedDepth': true, 'regexp': null, 'host': labels.join('.') }
+    }
+
+    const parts = labels.map((label, idx) => {
+        if(label === '*') {
+            return idx === 0 ? '[^.]+(?:\\.[^.]+)*' : '[^.]+'
+        }
+
+        if(label.startsWith(':')) {
+            // Param names keep their case, labels were lowercased above
+            const name = pattern.split('.')[idx].match(PARAM_LABEL)
+
+            if(name === null) {
+                throw new Error(`Invalid host pattern ${pattern}: bad parameter label "${label}"`)
+            }
+
+            return `(?<${name[1]}>[^.]+)`
+        }
+
+        return escapeRegExp(label)
+    })
+
+    return {
+        'type': 'labels',
+        'literals': labels.filter(label => label !== '*' && !label.startsWith(':')).length,
+        'fixedDepth': labels[0] !== '*',
+        'regexp': new RegExp(`^${parts.join('\\.')}$`)
+    }
+}
+
+
+const TYPE_RANK = { 'exact': 3, 'labels': 2, 'regexp': 1, 'any': 0 }
+
+
+class HostMatcher {
+    _entries    = []
+    _sequence   = 0
+
+
+    // Returns the compiled pattern, throws if the pattern is invalid
+    add(pattern, value, priority = 0) {
+        const compiled = compileHostPattern(pattern)
+
+        this._entries.push({
+            ...compiled,
+            'pattern':  pattern,
+            'value':    value,
+            'priority': priority,
+            'sequence': this._sequence++
+        })
+
+        this._entries.sort((a, b) => (b.priority - a.priority)
+            || (TYPE_RANK[b.type] - TYPE_RANK[a.type])
+            || (b.literals - a.literals)
+            || (b.fixedDepth - a.fixedDepth)
+            || (a.sequence - b.sequence))
+
+        return compiled
+    }
+
+
+    // Best match for host as { value, params, pattern }, or null
+    match(host) {
+        const [best] = this._matches(host, true)
+        return best !== undefined ? best : null
+    }
+
+
+    // Every match for host, best first
+    matchAll(host) {
+        return this._matches(host, false)
+    }
+
+
+    _matches(host, firstOnly) {
+        const matches = []
+
+        if(typeof host !== 'string' || host.length === 0) {
+            return matches
+        }
+
+        const hostname = host.toLowerCase()
+
+        for(const entry of this._entries) {
+            let params = null
+
+            if(entry.type === 'any') {
+                params = {}
+            } else if(entry.type === 'exact') {
+                params = entry.host === hostname ? {} : null
+            } else {
+                // Regular expressions get the host as is, their flags decide case
+                const result = entry.regexp.exec(entry.type === 'regexp' ? host : hostname)
+                params = result !== null ? { ...result.groups } : null
+            }
+
+            if(params !== null) {
+                matches.push({ 'value': entry.value, 'params': params, 'pattern': entry.pattern })
+
+                if(firstOnly) {
+                    break
+                }
+            }
+        }
+
+        return matches
+    }
+
+
+    get size() {
+        return this._entries.length
+    }
+}
+
+
+export { HostMatcher, compileHostPattern }
@@ -0,0 +1,210 @@
+//
+//
+// Unnode.js - A Node.js back end framework
+//
+// https://unnodejs.org
+//
+// Copyright (c) 2020, 2021 RicForge - https://ricforge.com
+//
+// RicForge is a Nurminen Development Oy Ltd organization - https://nurminen.dev
+//
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to
+// deal in the Software without restriction, including without limitation the
+// rights to use, copy, modify, merge, publish, distribute, sublicense, and/or
+// sell copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+// FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+// DEALINGS IN THE SOFTWARE.
+//
+//
+
+
+
+'use strict'
+
+import http2                        from 'http2'
+import express                      from 'express'
+
+
+/*
+
+HTTP/2 support for Express
+
+Express 4 replaces the prototype of every request and response with its
+own, which is built on top of http.IncomingMessage / http.ServerResponse.
+HTTP/2 compatibility API objects (Http2ServerRequest / Http2ServerResponse)
+keep their state behind prototype getters, so they break after that.
+
+HTTP/2 servers pass requests through http2RequestHandler(), which marks
+HTTP/2 requests before Express changes their prototypes. enableHttp2() is
+called for every Express app that handles requests (main app and vhost
+apps) and hooks into the app's expressInit middleware: for marked requests
+it swaps in prototypes that have the Express request / response methods on
+top of the HTTP/2 compatibility classes, and sets the Host header from the
+:authority pseudo-header for the vhost router. HTTP/1 requests, including
+ones served by an HTTP/2 server with allowHTTP1, are left untouched.
+
+Express apps mounted with app.use(subApp) restore the parent app's HTTP/1
+prototypes when they are done, so they are not supported for HTTP/2.
+
+*/
+
+// Requests received by HTTP/2 servers over HTTP/2, see http2RequestHandler()
+const http2Requests = new WeakSet()
+
+const http2Request  = Object.create(http2.Http2ServerRequest.prototype, Object.getOwnPropertyDescriptors(express.request))
+const http2Response = Object.create(http2.Http2ServerResponse.prototype, Object.getOwnPropertyDescriptors(express.response))
+
+
+// Request listener for http2.createSecureServer()
+function http2RequestHandler(app) {
+    return (req, res) => {
+        if(req instanceof http2.Http2ServerRequest) {
+            http2Requests.add(req)
+        }
+
+        app(req, res)
+    }
+}
+
+
+function enableHttp2(app) {
+    // Same as app.request / app.response, but on the HTTP/2 classes
+    const appProperty   = { 'app': { 'configurable': true, 'enumerable': true, 'writable': true, 'value': app } }
+    const request       = Object.create(http2Request, appProperty)
+    const response      = Object.create(http2Response, appProperty)
+
+    app.lazyrouter()
+
+    const initLayer = app._router.stack.find(layer => layer.name === 'expressInit')
+
+    if(initLayer === undefined) {
+        throw new Error('enableHttp2: expressInit middleware not found, unsupported Express version')
+    }
+
+    const expressInit = initLayer.handle
+
+    // Router matching for the next middleware already needs a working
+    // req.url, so the prototypes are fixed before expressInit's next()
+    initLayer.handle = (req, res, next) => {
+        if(!http2Requests.has(req)) {
+            return expressInit(req, res, next)
+        }
+
+        expressInit(req, res, (error) => {
+            Object.setPrototypeOf(req, request)
+            Object.setPrototypeOf(res, response)
+
+            if(!req.headers.host && req.headers[':authority']) {
+                req.headers.host = req.headers[':authority']
+            }
+
+            next(error)
+        })
+    }
+
+    return app
+}
+
+
+/*
+ * http-terminator equivalent for HTTP/2 secure servers. On terminate()
+ * the server stops accepting connections, HTTP/2 sessions get a GOAWAY and
+ * are closed once their open streams finish, and HTTP/1 connections are
+ * closed after their in-flight requests (with Connection: close). Whatever
+ * is still open after gracefulTerminationTimeout ms is destroyed.
+ */
+function createHttp2Terminator({ server, gracefulTerminationTimeout = 5000 }) {
+    const sessions      = new Set()
+    const sockets       = new Map()     // HTTP/1 socket -> in-flight requests
+    let terminating     = null
+
+    server.on('session', (session) => {
+        sessions.add(session)
+        session.once('close', () => sessions.delete(session))
+
+        if(terminating !== null) {
+            session.close()
+        }
+    })
+
+    server.on('secureConnection', (socket) => {
+        if(socket.alpnProtocol === 'h2') {
+            return
+        }
+
+        sockets.set(socket, 0)
+        socket.once('close', () => sockets.delete(socket))
+    })
+
+    server.on('request', (req, res) => {
+        const socket = req.socket
+
+        if(req.httpVersionMajor === 2 || !sockets.has(socket)) {
+            return
+        }
+
+        sockets.set(socket, sockets.get(socket) + 1)
+
+        if(terminating !== null && !res.headersSent) {
+            res.setHeader('connection', 'close')
+        }
+
+        res.once('finish', () => {
+            const inFlight = sockets.get(socket) - 1
+
+            if(inFlight >= 0) {
+                sockets.set(socket, inFlight)
+            }
+
+            if(terminating !== null && inFlight === 0) {
+                socket.destroy()
+            }
+        })
+    })
+
+    const terminate = () => {
+        if(terminating !== null) {
+            return terminating
+        }
+
+        terminating = new Promise((resolve) => {
+            const forceTimer = setTimeout(() => {
+                sessions.forEach(session => session.destroy())
+                sockets.forEach((inFlight, socket) => socket.destroy())
+            }, gracefulTerminationTimeout)
+
+            server.close(() => {
+                clearTimeout(forceTimer)
+                resolve()
+            })
+
+            // GOAWAY, session closes after its open streams have finished
+            sessions.forEach(session => session.close())
+
+            sockets.forEach((inFlight, socket) => {
+                if(inFlight === 0) {
+                    socket.destroy()
+                }
+            })
+        })
+
+        return terminating
+    }
+
+    return { 'terminate': terminate }
+}
+
+
+export { http2RequestHandler, enableHttp2, createHttp2Terminator }
@@ -0,0 +1,178 @@
+//
+//
+// Unnode.js - A Node.js back end framework
+//
+// https://unnodejs.org
+//
+// Copyright (c) 2020, 2021 RicForge - https://ricforge.com
+//
+// RicForge is a Nurminen Development Oy Ltd organization - https://nurminen.dev
+//
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to
+// deal in the Software without restriction, including without limitation the
+// rights to use, copy, modify, merge, publish, distribute, sublicense, and/or
+// sell copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+// FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+// DEALINGS IN THE SOFTWARE.
+//
+//
+
+
+'use strict'
+
+import cluster              from 'node:cluster'
+import { EventEmitter }     from 'node:events'
+
+
+/*
+
+Master <-> worker messaging
+
+In cluster mode messages go over the Node.js cluster IPC channel. In
+single-process mode (UNNODE_WORKERS=0) the master and worker logic share
+one process, and UnnodeLocalWorker stands in for the forked cluster.Worker
+so the master can treat it like any other worker.
+
+Messages are JSON cloned in both modes, so values behave the same way.
+
+*/
+
+function isSingleProcess() {
+    return cluster.isMaster && process.env.UNNODE_WORKERS === '0'
+}
+
+
+function cloneMessage(message) {
+    return JSON.parse(JSON.stringify(message))
+}
+
+
+class UnnodeLocalWorker extends EventEmitter {
+    id          = 1
+    process     = { pid: process.pid }
+    _state      = 'online'
+
+
+    // Master -> worker
+    send(message) {
+        if(this._state !== 'online') {
+            return false
+        }
+
+        const clonedMessage = cloneMessage(message)
+
+        setImmediate(() => this.emit('toWorker', clonedMessage))
+
+        return true
+    }
+
+
+    // Worker -> master
+    sendToMaster(message) {
+        if(this._state !== 'online') {
+            return false
+        }
+
+        const clonedMessage = cloneMessage(message)
+
+        setImmediate(() => this.emit('fromWorker', clonedMessage))
+
+        return true
+    }
+
+
+    isConnected() {
+        return this._state === 'online'
+    }
+
+
+    isDead() {
+        return this._state === 'dead'
+    }
+
+
+    disconnect() {
+        if(this._state !== 'online') {
+            return
+        }
+
+        this._state = 'disconnected'
+
+        setImmediate(() => {
+            this.emit('disconnect')
+            this._exit(0, null)
+        })
+    }
+
+
+    kill(signal = 'SIGTERM') {
+        this._exit(null, signal)
+    }
+
+
+    _exit(code, signal) {
+        if(this._state === 'dead') {
+            return
+        }
+
+        this._state = 'dead'
+
+        this.emit('exit', code, signal)
+    }
+
+}
+
+
+const localWorker = isSingleProcess() ? new UnnodeLocalWorker() : null
+
+
+function isConnectedToMaster() {
+    if(localWorker !== null) {
+        return localWorker.isConnected()
+    }
+
+    return typeof process.send === 'function' && process.connected !== false
+}
+
+
+function sendToMaster(message) {
+    if(localWorker !== null) {
+        return localWorker.sendToMaster(message)
+    }
+
+    if(isConnectedToMaster()) {
+        return process.send(message)
+    }
+
+    return false
+}
+
+
+function onMasterMessage(handler) {
+    if(localWorker !== null) {
+        localWorker.on('toWorker', handler)
+    } else {
+        process.on('message', handler)
+    }
+}
+
+
+export {
+    isSingleProcess,
+    localWorker,
+    isConnectedToMaster,
+    sendToMaster,
+    onMasterMessage
+}
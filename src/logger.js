@@ -38,6 +38,12 @@ import chalk         from 'chalk'
 import stripAnsi     from 'strip-ansi'
 import Rollbar       from 'rollbar'
 import moment        from 'moment-timezone'
+import cluster       from 'cluster'
+
+import { AsyncLocalStorage } from 'async_hooks'
+
+import * as ipc      from './ipc.js'
+import { loggerOptionsSchema, resolveOptions } from './options.js'
 
 
 /*
@@ -66,15 +72,15 @@ class MasterLogger {
     _rollbar            = null
     _timestampFunc      = null
     _lastLogTimestamp   = 0
+    _options            = null
 
 
     constructor() {
         // Timestamper with timezones
         this._timestampFunc = winston.format((info) => {
-            const appTimezone = process.env.UNNODE_TIMEZONE
-            const supportedTimezones = moment.tz.names()
+            const appTimezone = this._options !== null ? this._options.timezone : null
 
-            if(appTimezone && supportedTimezones.includes(appTimezone)) {
+            if(appTimezone !== null) {
                 info.timestamp = moment().tz(appTimezone).toISOString(true)
             } else {
                 info.timestamp = moment().toISOString(true)
@@ -84,15 +90,18 @@ class MasterLogger {
     }
 
 
-    init(serverDir) {
+    // options: see loggerOptionsSchema in options.js
+    init(serverDir, options = {}) {
         // Only init once
         if(this._initialized === true) {
             return true
         }
 
+        this._options = resolveOptions(loggerOptionsSchema, options, 'Unnode.js logger options')
+
         // File logging with logrotate
-        if(process.env.UNNODE_LOGFILE) {
-            this._setupFileLogging(serverDir, process.env.UNNODE_LOGFILE)
+        if(this._options.logFile !== null) {
+            this._setupFileLogging(serverDir, this._options.logFile)
         }
 
         // Console logging
@@ -153,6 +162,21 @@ class MasterLogger {
     }
 
 
+    setLogLevel(level) {
+        if(!Object.keys(winston.config.syslog.levels).includes(level)) {
+            throw new Error(`Invalid log level: ${level}`)
+        }
+
+        this._consoleLogger.transports.forEach(transport => transport.level = level)
+
+        if(this._fileLogger !== null) {
+            this._fileLogger.transports.forEach(transport => transport.level = level)
+        }
+
+        return true
+    }
+
+
     _rollbarLog(level, message) {
         if(this._rollbar !== null) {
             let rollbarLevel = level
@@ -265,7 +289,7 @@ class MasterLogger {
                     break
             }
 
-            if(process.env.UNNODE_DISABLE_TIMESTAMP_CONSOLE) {
+            if(this._options.disableTimestampConsole === true) {
                 return `${level}: ${message}`
             } else {
                 return `${timestamp} ${level}: ${message}`
@@ -306,8 +330,8 @@ class MasterLogger {
 
 
     _initRollbar() {
-        const rollbarToken = process.env.ROLLBAR_ACCESS_TOKEN
-        const rollbarEnv = process.env.ROLLBAR_ENVIRONMENT
+        const rollbarToken = this._options.rollbarAccessToken
+        const rollbarEnv = this._options.rollbarEnvironment
 
         if(rollbarToken && rollbarEnv) {
             this._rollbar = new Rollbar({
@@ -340,21 +364,53 @@ class MasterLogger {
 
 Worker process logging class
 
-Just sends log messages to the master process logger via IPC
+Just sends log messages to the master process logger via IPC, or in
+single-process mode writes them straight to the master logger
+
+Code run through runWithSink() (in-process test servers) logs only to that
+sink, including requests and timers it starts, so concurrent test servers
+don't see each other's logs. Outside a worker and without a sink, messages
+go to the console.
 
 */
 class WorkerLogger {
+    _sinkStorage = new AsyncLocalStorage()
+
+
+    runWithSink(sink, fn) {
+        return this._sinkStorage.run(sink, fn)
+    }
+
+
     async log(level, message, overrideRollbar = null) {
-        // Prefix with [pid]
-        const prefix = chalk.bgRed(`[${process.pid}]`)
-        if(process.connected !== false) {
-            process.send({
-                'type': 'log',
+        const sink = this._sinkStorage.getStore()
+
+        if(typeof sink === 'function') {
+            return sink({
                 'level': level,
-                'message': `${prefix} ${message}`,
-                'overrideRollbar': overrideRollbar
+                'message': stripAnsi(message),
+                'overrideRollbar': overrideRollbar,
+                'timestamp': new Date()
             })
         }
+
+        // Prefix with [pid]
+        const prefix = chalk.bgRed(`[${process.pid}]`)
+
+        if(ipc.isSingleProcess()) {
+            return masterLogger.log(level, `${prefix} ${message}`, overrideRollbar)
+        }
+
+        if(!cluster.isWorker) {
+            return console.log(`${level}: ${stripAnsi(message)}`)
+        }
+
+        ipc.sendToMaster({
+            'type': 'log',
+            'level': level,
+            'message': `${prefix} ${message}`,
+            'overrideRollbar': overrideRollbar
+        })
     }
 
 
@@ -32,56 +32,196 @@
 
 'use strict'
 
+import fs                   from 'node:fs'
 import path                 from 'node:path'
+import crypto               from 'node:crypto'
+import http                 from 'node:http'
 import cluster              from 'node:cluster'
 import chalk                from 'chalk'
 
 import { masterLogger }     from './logger.js'
+import { controlServer }    from './control.js'
+import { systemd }          from './systemd.js'
+import { UnnodeMetrics, mergeSnapshots, renderPrometheus } from './metrics.js'
+import { certificateInfo }  from './certificates.js'
+import { AcmeClient, AcmeError, createCsr, generateKey, acmeCertificatePaths, saveCertificate } from './acme.js'
+import { UnnodeStore }      from './store.js'
+import { UnnodeScheduler }  from './scheduler.js'
+import * as ipc             from './ipc.js'
 import * as utils           from './utils.js'
+import { masterOptionsSchema, loggerOptionsSchema, resolveOptions } from './options.js'
+
+
+// ACME certificates are checked for renewal twice a day
+const ACME_CHECK_INTERVAL = 12 * 60 * 60 * 1000
 
 
 class UnnodeMaster {
+    _options                = null
     _firstInitDone          = false
     _numWorkers             = 0
-    _numWorkersReady        = 0
+    _maxWorkers             = 0
     _webpackDevMiddleware   = null
 
+    _restartMode            = 'all'
+    _restartBatchSize       = 1
+    _restartStartupTimeout  = 30000
+    _rollingRestart         = null
+    _retiringWorkers        = new Set()
+
+    _workerSlots            = new Map()
+    _slotRestarts           = new Map()
+    _pendingRestarts        = new Map()
+    _backoffInitial         = 1000
+    _backoffMax             = 60000
+    _crashLoopWindow        = 60000
+    _crashLoopMaxRestarts   = 5
+    _crashLoopExit          = false
+    _shuttingDown           = false
+
+    _serverDir              = null
+    _readyWorkers           = new Set()
+
+    // Worker id => shutdownDrainDelay the worker reported in 'serverRunning'
+    _drainDelays            = new Map()
+
+    _workerRequests         = new Map()
+    _workerRequestId        = 0
+    _listenInfo             = null
+
+    _heartbeatInterval      = 10000
+    _heartbeatTimeout       = 5000
+    _heartbeatMaxMissed     = 3
+    _heartbeatMaxLag        = 0
+    _heartbeatTimer         = null
+    _heartbeats             = new Map()
+
+    _recycling              = new Map()
+    _workerMaxRss           = 0
+    _workerMaxHeap          = 0
+    _workerMaxRequests      = 0
+    _workerMaxAge           = 0
+
+    _subscriptions          = new Map()
+    _messageQueues          = new Map()
+
+    store                   = new UnnodeStore()
+
+    _scheduler              = new UnnodeScheduler()
+    _workerJobs             = new Map()
+
+    _singleProcess          = false
+
+    _metrics                = new UnnodeMetrics()
+    _metricsServer          = null
+
+    // Worker id => last metrics snapshot, served when a worker misses a scrape
+    _workerMetrics          = new Map()
+
+    // Counter and histogram totals of exited workers, so totals never go down
+    _exitedWorkerMetrics    = []
+
+    _acmeDir                = null
+    _acmeDomains            = []
+    _acmeClient             = null
+    _acmeChallenges         = new Map()
+    _acmeTimer              = null
+    _acmeRunning            = false
+
+    _startedAt              = Date.now()
+
 
     constructor() {
         process.title = 'unnode-master'
     }
 
 
-    async init(serverDir) {
-        masterLogger.init(serverDir)
-
+    /*
+     * options: see masterOptionsSchema in options.js, each option falls back
+     * to its UNNODE_* environment variable
+     */
+    async init(serverDir, options = {}) {
         const cpuCount = (await import('node:os')).cpus().length
 
-        let workers = process.env.UNNODE_WORKERS
+        this._options = this._resolveOptions(options, cpuCount)
 
-        // UNNODE_WORKERS must be >=1 and <= CPU count, else default to CPU count
-        if (isNaN(workers) || workers < 1 || workers > cpuCount) {
-            workers = cpuCount
-        }
+        const loggerOptions = Object.fromEntries(Object.keys(loggerOptionsSchema)
+            .filter(key => this._options[key] !== null)
+            .map(key => [key, this._options[key]]))
+
+        masterLogger.init(serverDir, loggerOptions)
+
+        this._serverDir = serverDir
+
+        this._scheduler.setTimezone(this._options.timezone)
+
+        // workersMax allows going above CPU count, e.g. for I/O-bound apps
+        this._maxWorkers = this._options.workersMax
 
-        this._numWorkers = parseInt(workers)
+        // workers = 0: single-process mode, master and worker run in this process
+        this._singleProcess = ipc.isSingleProcess()
 
-        masterLogger.log('info', `Detected ${cpuCount} CPUs, using ${workers}`)
+        const workers = this._singleProcess ? 1 : this._options.workers
+
+        this._numWorkers = workers
+
+        if (this._singleProcess) {
+            masterLogger.log('info', 'Running in single-process mode (UNNODE_WORKERS=0)')
+        } else {
+            masterLogger.log('info', `Detected ${cpuCount} CPUs, using ${workers}`)
+        }
         masterLogger.log('info', '')
 
-        cluster.on('online',     this._workerOnline.bind(this))
-        cluster.on('message',    this._messageFromWorker.bind(this))
-        cluster.on('disconnect', this._workerDisconnect.bind(this))
-        cluster.on('exit',       this._workerExit.bind(this))
+        // restartMode: 'all' (default) replaces every worker at once,
+        // 'rolling' replaces restartBatchSize workers at a time
+        this._restartMode           = this._options.restartMode
+        this._restartBatchSize      = this._options.restartBatchSize
+        this._restartStartupTimeout = this._options.restartStartupTimeout
+
+        // Crashed workers are restarted with an exponential backoff, more than
+        // crashLoopMaxRestarts restarts of a single worker slot within
+        // crashLoopWindow ms is considered a crash loop
+        this._backoffInitial        = this._options.restartBackoffInitial
+        this._backoffMax            = this._options.restartBackoffMax
+        this._crashLoopWindow       = this._options.crashLoopWindow
+        this._crashLoopMaxRestarts  = this._options.crashLoopMaxRestarts
+
+        // Shut down the whole master with a non-zero exit code on crash loop
+        // so that a process supervisor can take over
+        this._crashLoopExit         = this._options.crashLoopExit
+
+        // Workers that miss heartbeatMaxMissed heartbeats in a row, or report
+        // an event loop lag over heartbeatMaxLag ms (0 = disabled), are recycled
+        this._heartbeatInterval     = this._options.heartbeatInterval
+        this._heartbeatTimeout      = this._options.heartbeatTimeout
+        this._heartbeatMaxMissed    = this._options.heartbeatMaxMissed
+        this._heartbeatMaxLag       = this._options.heartbeatMaxLag
+
+        // Worker recycling limits, checked on every heartbeat (0 = disabled):
+        // RSS and heap in MB, requests served, and worker age in seconds
+        this._workerMaxRss          = this._options.workerMaxRss
+        this._workerMaxHeap         = this._options.workerMaxHeap
+        this._workerMaxRequests     = this._options.workerMaxRequests
+        this._workerMaxAge          = this._options.workerMaxAge
+
+        if (this._singleProcess) {
+            const localWorker = ipc.localWorker
+
+            localWorker.on('fromWorker', message => this._messageFromWorker(localWorker, message))
+            localWorker.on('disconnect', () => this._workerDisconnect(localWorker))
+            localWorker.on('exit',       (code, signal) => this._workerExit(localWorker, code, signal))
+        } else {
+            cluster.on('online',     this._workerOnline.bind(this))
+            cluster.on('message',    this._messageFromWorker.bind(this))
+            cluster.on('disconnect', this._workerDisconnect.bind(this))
+            cluster.on('exit',       this._workerExit.bind(this))
+        }
 
         const shutdownSignals = ['SIGINT', 'SIGTERM']
 
-        let shutdownSignalReceived = false
-
         shutdownSignals.forEach(signal => {
             process.on(signal, () => {
-                if(shutdownSignalReceived === false) {
-                    shutdownSignalReceived = true
+                if(this._shuttingDown === false) {
                     masterLogger.log('info', `Received ${signal}, shutting down workers`)
                     this._shutdownWorkers()
                 }
@@ -91,20 +231,79 @@ class UnnodeMaster {
         // SIGUSR2: Restart all workers / code hot-reload
         process.on('SIGUSR2', () => {
             // _restartWorkers() immediately sets this._firstInitDone = false
-            // so use that as a spam-protection flag
-            if(this._firstInitDone === true) {
+            // (or starts a rolling restart) so use that as a spam-protection flag
+            if(this._singleProcess) {
+                masterLogger.log('warning', 'Received SIGUSR2, worker restarts are not supported in single-process mode')
+            } else if(this._firstInitDone === true && this._rollingRestart === null) {
                 masterLogger.log('info', 'Received SIGUSR2, restarting workers')
                 this._restartWorkers()
             }
         })
 
+        // SIGHUP: Reload TLS certificates in all workers
+        process.on('SIGHUP', () => {
+            masterLogger.log('info', 'Received SIGHUP, reloading TLS certificates')
+            this.reloadCertificates()
+        })
+
+        // SIGTTIN / SIGTTOU: Add / retire one worker
+        process.on('SIGTTIN', () => this._scaleBySignal('SIGTTIN', 1))
+        process.on('SIGTTOU', () => this._scaleBySignal('SIGTTOU', -1))
+
+        // Optional snapshot file for the cluster store, relative to server directory
+        const storeSnapshot = this._options.storeSnapshot
+
+        this.store.init(
+            storeSnapshot ? path.resolve(serverDir, storeSnapshot) : null,
+            this._options.storeSnapshotInterval
+        )
+
+        await this._startControlSocket(serverDir)
+
+        await this._startMetricsServer()
+
         await this._startWebpackWatcher(serverDir)
 
+        if (this._singleProcess) {
+            // The worker side is set up by the caller in this same process
+            this._workerSlots.set(ipc.localWorker.id, 0)
+            this._workerOnline(ipc.localWorker)
+            return
+        }
+
         // Fire up workers
-        for (let i = 0; i < workers; i++) {
-            cluster.fork()
+        for (let slot = 0; slot < workers; slot++) {
+            this._forkWorker(slot)
         }
 
+        this._heartbeatTimer = setInterval(this._heartbeat.bind(this), this._heartbeatInterval)
+
+    }
+
+
+    // Resolve and validate options, reporting all invalid values at once
+    _resolveOptions(options, cpuCount) {
+        return resolveOptions(masterOptionsSchema, options, 'Unnode.js master options', (resolved, errors) => {
+            if(resolved.workersMax === null) {
+                resolved.workersMax = cpuCount
+            }
+
+            if(resolved.workers === null && resolved.workersMax !== undefined) {
+                resolved.workers = Math.min(cpuCount, resolved.workersMax)
+            } else if(resolved.workers > resolved.workersMax) {
+                errors.push(`workers (${resolved.workers}) must be <= workersMax (${resolved.workersMax}), set workersMax to go above CPU count`)
+            }
+
+            // Single-process mode decides isMaster/isWorker when unnode is imported,
+            // so it can only be selected with the environment variable
+            if(resolved.workers !== undefined && (resolved.workers === 0) !== ipc.isSingleProcess()) {
+                errors.push('workers: single-process mode (0 workers) can only be selected with UNNODE_WORKERS=0 set before unnode is imported')
+            }
+
+            if(resolved.restartBackoffMax < resolved.restartBackoffInitial) {
+                errors.push(`restartBackoffMax (${resolved.restartBackoffMax}) must be >= restartBackoffInitial (${resolved.restartBackoffInitial})`)
+            }
+        })
     }
 
 
@@ -122,6 +321,21 @@ class UnnodeMaster {
     *********************************************************************
     ********************************************************************/
 
+    // reason: 'crash', 'recycle' or 'restart' for replacement workers, counted in metrics
+    _forkWorker(slot, reason = null) {
+        if(reason !== null) {
+            this._metrics.inc('unnode_worker_restarts_total', { 'reason': reason })
+        }
+
+        // Workers use the master start time to tell stale Unix sockets from live ones
+        const worker = cluster.fork({ UNNODE_WORKER_SLOT: slot, UNNODE_MASTER_STARTED: this._startedAt })
+
+        this._workerSlots.set(worker.id, slot)
+
+        return worker
+    }
+
+
     _workerOnline(worker) {
         masterLogger.log('info', 'Worker process ' + chalk.bgRed(`[${worker.process.pid}]`) + ' online')
     }
@@ -133,25 +347,103 @@ class UnnodeMaster {
 
 
     async _workerExit(worker, code, signal) {
-        if(code === 0 || !this._firstInitDone || signal === 'SIGTERM' || signal === 'SIGINT') {
+        this._metrics.inc('unnode_worker_exits_total', { 'code': code === null ? '' : String(code), 'signal': signal || '' })
+        this._retainWorkerMetrics(worker)
+
+        const wasRetiring   = this._retiringWorkers.delete(worker.id)
+        const slot          = this._workerSlots.get(worker.id)
+
+        this._workerSlots.delete(worker.id)
+        this._readyWorkers.delete(worker.id)
+        this._drainDelays.delete(worker.id)
+        this._heartbeats.delete(worker.id)
+        this._workerJobs.forEach(workerJob => workerJob.workers.delete(worker.id))
+
+        if(this._recycling.has(worker.id)) {
+            return this._recycleFailed(worker, slot, code, signal, wasRetiring)
+        }
+
+        const wasRecycling = this._isBeingRecycled(worker)
+
+        if(this._rollingRestart !== null && this._rollingRestart.starting.has(worker.id)) {
+            // Replacement worker died before it was ready
+            masterLogger.log(
+                'alert',
+                'Replacement worker process ' + chalk.bgRed(`[${worker.process.pid}]`)
+                    + ` exited during startup (code: ${code}, signal: ${signal})`
+            )
+            this._abortRollingRestart()
+            return
+        }
+
+        if(wasRetiring || wasRecycling || this._shuttingDown || code === 0 || !this._firstInitDone || signal === 'SIGTERM' || signal === 'SIGINT') {
             // Normal worker process, crash during startup, or SIGINT/TERM = no restart
             masterLogger.log(
                 'info',
                 'Worker process ' + chalk.bgRed(`[${worker.process.pid}]`)
                     + ` exited (code: ${code}, signal: ${signal})`
             )
-            if(Object.entries(cluster.workers).length === 0) {
-                // Close webpack watcher
-                await this._closeWebpackWatcher()
+            if(this._allWorkers().length === 0) {
+                await this._allWorkersExited()
             }
         } else {
             // Abnormal exit, restart worker
+            this._restartCrashedWorker(worker, slot, code, signal)
+        }
+    }
+
+
+    async _allWorkersExited() {
+        // Close webpack watcher, control socket, metrics server and cluster store
+        await this._closeWebpackWatcher()
+        await this._closeControlSocket()
+        await this._closeMetricsServer()
+        this.store.close()
+    }
+
+
+    _restartCrashedWorker(worker, slot, code, signal) {
+        const now = Date.now()
+
+        // Restart history of this worker slot within the crash loop window
+        const restarts = (this._slotRestarts.get(slot) || []).filter((timestamp) => {
+            return now - timestamp < this._crashLoopWindow
+        })
+
+        restarts.push(now)
+
+        this._slotRestarts.set(slot, restarts)
+
+        this._metrics.inc('unnode_worker_crashes_total')
+
+        const crashInfo = 'Worker process ' + chalk.bgRed(`[${worker.process.pid}]`)
+            + ` died abnormally (code: ${code}, signal: ${signal})`
+
+        if(restarts.length > this._crashLoopMaxRestarts) {
+            this._metrics.inc('unnode_worker_crash_loops_total')
+
             masterLogger.log(
                 'alert',
-                'Worker process ' + chalk.bgRed(`[${worker.process.pid}]`)
-                    + ` died abnormally (code: ${code}, signal: ${signal}), forking new...`)
-            cluster.fork()
+                `${crashInfo}, crash loop detected: worker slot ${slot} restarted`
+                    + ` ${restarts.length} times within ${this._crashLoopWindow} ms`
+            )
+
+            if(this._crashLoopExit) {
+                masterLogger.log('emerg', 'Shutting down master because of worker crash loop')
+                process.exitCode = 1
+                this._shutdownWorkers()
+                return
+            }
         }
+
+        const delay = Math.min(this._backoffInitial * Math.pow(2, restarts.length - 1), this._backoffMax)
+
+        masterLogger.log('alert', `${crashInfo}, forking new in ${delay} ms...`)
+
+        this._pendingRestarts.set(slot, setTimeout(() => {
+            this._pendingRestarts.delete(slot)
+            this._forkWorker(slot, 'crash')
+        }, delay))
     }
 
 
@@ -167,27 +459,39 @@ class UnnodeMaster {
             case 'shutdown':
                 worker.disconnect()
                 break
+            case 'request':
+                this._handleWorkerRequest(worker, message)
+                break
+            case 'response':
+                this._workerResponse(worker, message)
+                break
+            case 'scheduleJob':
+                this._registerWorkerJob(worker, message.name, message.options)
+                break
+            case 'publish':
+                this._relayMessage(message.channel, message.payload, message.slot, worker.process.pid)
+                break
             case 'serverRunning':
-                if (!this._firstInitDone) {
-                    this._numWorkersReady++
-
-                    if (this._numWorkersReady === this._numWorkers) {
-                        masterLogger.log('info', '')
-                        masterLogger.log('info', `All workers online (${this._numWorkers})`)
-                        if (message.listen_port_insecure !== null) {
-                            masterLogger.log('info', `Express server listening on ${message.listen_host}:${message.listen_port_insecure} (HTTP)`)
-                        }
-                        if (message.listen_port_secure !== null) {
-                            masterLogger.log('info', `Express server listening on ${message.listen_host}:${message.listen_port_secure} (HTTPS)`)
-                        }
-                        masterLogger.log('info', '')
-
-                        this._firstInitDone = true
-                    }
+                // Forked just before a shutdown, which it may have missed
+                // while it wasn't listening for messages yet
+                if (this._shuttingDown) {
+                    worker.send('shutdown')
+                    break
+                }
+
+                this._readyWorkers.add(worker.id)
+                this._drainDelays.set(worker.id, Number.isInteger(message.shutdownDrainDelay) ? message.shutdownDrainDelay : 0)
+
+                this._flushMessageQueue(worker)
+
+                if (this._recycling.has(worker.id)) {
+                    this._recycleWorkerReady(worker)
+                } else if (this._rollingRestart !== null && this._rollingRestart.starting.has(worker.id)) {
+                    this._rollingWorkerReady(worker)
+                } else if (!this._firstInitDone) {
+                    this._listenInfo = message
+                    this._checkAllWorkersReady()
                 }
-            case 'pingConsole':
-                const pingIfNoActivityInSeconds = (60 * 60) * 2
-                masterLogger.pingConsole(pingIfNoActivityInSeconds)
                 break
             default:
                 break
@@ -196,40 +500,1173 @@ class UnnodeMaster {
     }
 
 
+    _checkAllWorkersReady() {
+        const message = this._listenInfo
+
+        if (this._firstInitDone || message === null || this._countReadyWorkers() < this._numWorkers) {
+            return
+        }
+
+        masterLogger.log('info', '')
+        masterLogger.log('info', `All workers online (${this._numWorkers})`)
+        message.listeners.forEach((listener) => {
+            masterLogger.log('info', `Express server listening on ${listener.address} (${listener.protocol.toUpperCase()})`)
+        })
+        masterLogger.log('info', '')
+
+        this._firstInitDone = true
+
+        systemd.notify({ 'READY': 1, 'STATUS': `All workers online (${this._numWorkers})` })
+        systemd.startWatchdog(() => this._countReadyWorkers() > 0 && !this._shuttingDown)
+
+        if(this._options.acme === true) {
+            this._startAcme(message.acmeDomains || [])
+        }
+    }
+
+
+    // Ready workers that are not being retired
+    _countReadyWorkers() {
+        return this._activeWorkers().filter(worker => this._readyWorkers.has(worker.id)).length
+    }
+
+
+    /*
+     * Send a request to a worker and resolve with its response. Rejects if
+     * the worker does not answer within timeout ms.
+     */
+    _requestFromWorker(worker, request, data = null, timeout = 2000) {
+        return new Promise((resolve, reject) => {
+            if(!worker.isConnected()) {
+                return reject(new Error(`Worker ${worker.process.pid} is not connected`))
+            }
+
+            const requestId = ++this._workerRequestId
+
+            const requestTimeout = setTimeout(() => {
+                this._workerRequests.delete(requestId)
+                reject(new Error(`Worker ${worker.process.pid} did not respond to "${request}" within ${timeout} ms`))
+            }, timeout)
+
+            this._workerRequests.set(requestId, { resolve: resolve, reject: reject, timeout: requestTimeout })
+
+            worker.send({ 'type': 'request', 'request': request, 'requestId': requestId, 'data': data })
+        })
+    }
+
+
+    _workerResponse(worker, message) {
+        const pending = this._workerRequests.get(message.requestId)
+
+        if(pending) {
+            clearTimeout(pending.timeout)
+            this._workerRequests.delete(message.requestId)
+
+            if(message.error) {
+                pending.reject(new Error(message.error))
+            } else {
+                pending.resolve(message.result)
+            }
+        }
+    }
+
+
+    _handleWorkerRequest(worker, message) {
+        let result  = null
+        let error   = null
+
+        try {
+            switch(message.request) {
+                case 'store':
+                    result = this.store.execute(message.data.operation, message.data.args)
+                    break
+                case 'clusterStatus':
+                    result = this._clusterSummary()
+                    break
+                case 'acmeChallenge':
+                    result = this._acmeChallenges.get(message.data.token) || null
+                    break
+                default:
+                    throw new Error(`Unknown request: ${message.request}`)
+            }
+        } catch(e) {
+            error = e.message
+        }
+
+        if(worker.isConnected()) {
+            worker.send({ 'type': 'response', 'requestId': message.requestId, 'result': result, 'error': error })
+        }
+    }
+
+
+    _allWorkers() {
+        if (this._singleProcess) {
+            return ipc.localWorker.isDead() ? [] : [ipc.localWorker]
+        }
+
+        return Object.values(cluster.workers)
+    }
+
+
+    _activeWorkers() {
+        return this._allWorkers().filter((worker) => {
+            return !this._retiringWorkers.has(worker.id)
+        })
+    }
+
+
+    // Worker slots that have a live worker or a crashed worker waiting for restart
+    _activeSlots() {
+        const slots = new Set(this._pendingRestarts.keys())
+
+        this._activeWorkers().forEach(worker => slots.add(this._workerSlots.get(worker.id)))
+
+        return slots
+    }
+
+
+    scaleTo(numWorkers) {
+        if(this._singleProcess) {
+            throw new Error('Scaling is not supported in single-process mode')
+        }
+
+        numWorkers = parseInt(numWorkers)
+
+        if(isNaN(numWorkers) || numWorkers < 1 || numWorkers > this._maxWorkers) {
+            throw new Error(`Number of workers must be between 1 and ${this._maxWorkers}`)
+        }
+
+        if(this._shuttingDown || this._rollingRestart !== null) {
+            throw new Error('Cannot scale while workers are restarting or shutting down')
+        }
+
+        const slots = this._activeSlots()
+
+        if(numWorkers > slots.size) {
+            masterLogger.log('info', `Scaling up from ${slots.size} to ${numWorkers} workers`)
+
+            // Fill the lowest free slots first
+            for(let slot = 0; slots.size < numWorkers; slot++) {
+                if(!slots.has(slot)) {
+                    slots.add(slot)
+                    this._forkWorker(slot)
+                }
+            }
+        } else if(numWorkers < slots.size) {
+            masterLogger.log('info', `Scaling down from ${slots.size} to ${numWorkers} workers`)
+
+            // Retire the highest slots first
+            const retiredSlots = [...slots].sort((a, b) => b - a).slice(0, slots.size - numWorkers)
+
+            retiredSlots.forEach((slot) => {
+                clearTimeout(this._pendingRestarts.get(slot))
+                this._pendingRestarts.delete(slot)
+                this._messageQueues.delete(slot)
+            })
+
+            this._activeWorkers().forEach((worker) => {
+                if(retiredSlots.includes(this._workerSlots.get(worker.id))) {
+                    this._retireWorker(worker)
+                }
+            })
+        }
+
+        this._numWorkers = numWorkers
+
+        // Scaling down during startup may leave only ready workers behind
+        this._checkAllWorkersReady()
+
+        return numWorkers
+    }
+
+
+    _scaleBySignal(signal, delta) {
+        const numWorkers = this._activeSlots().size + delta
+
+        masterLogger.log('info', `Received ${signal}, scaling to ${numWorkers} workers`)
+
+        try {
+            this.scaleTo(numWorkers)
+        } catch(error) {
+            masterLogger.log('warning', `Unable to scale to ${numWorkers} workers: ${error.message}`)
+        }
+    }
+
+
+    /*
+     * Ask every worker to re-read its TLS certificates. Workers swap in the
+     * new certificates for new handshakes without dropping connections.
+     * Resolves to { <pid>: true | false | error message }
+     */
+    async reloadCertificates() {
+        const results = await Promise.all(this._allWorkers().map(async (worker) => {
+            const [reloaded, error] = await utils.handle(this._requestFromWorker(worker, 'reloadCertificates', null, 10000))
+
+            if(error !== undefined) {
+                masterLogger.log('error', `Worker ${worker.process.pid} failed to reload TLS certificates: ${error.message}`)
+            }
+
+            return [worker.process.pid, error === undefined ? reloaded : error.message]
+        }))
+
+        return Object.fromEntries(results)
+    }
+
+
+    async getStatus() {
+        const workers = await Promise.all(this._allWorkers().map(async (worker) => {
+            const [workerStatus, error] = await utils.handle(this._requestFromWorker(worker, 'status'))
+
+            return {
+                id:         worker.id,
+                pid:        worker.process.pid,
+                slot:       this._workerSlots.get(worker.id),
+                ready:      this._readyWorkers.has(worker.id),
+                retiring:   this._retiringWorkers.has(worker.id),
+                uptime:     error === undefined ? workerStatus.uptime : null,
+                memory:     error === undefined ? workerStatus.memory : null,
+                heartbeat:  this._heartbeats.get(worker.id) || null
+            }
+        }))
+
+        return {
+            pid:            process.pid,
+            uptime:         process.uptime(),
+            memory:         process.memoryUsage(),
+            ...this._clusterSummary(),
+            jobs:           this._scheduler.getJobs(),
+            workers:        workers
+        }
+    }
+
+
+    // Cheap status summary, served by workers on the cluster status route
+    _clusterSummary() {
+        return {
+            numWorkers:     this._numWorkers,
+            maxWorkers:     this._maxWorkers,
+            workersReady:   this._countReadyWorkers(),
+            restarting:     this._rollingRestart !== null || !this._firstInitDone,
+            shuttingDown:   this._shuttingDown
+        }
+    }
+
+
     _shutdownWorkers() {
-        for (const id in cluster.workers) {
+        this._shuttingDown = true
+
+        systemd.stopWatchdog()
+        systemd.notify({ 'STOPPING': 1, 'STATUS': 'Shutting down workers' })
+
+        this._scheduler.stop()
+
+        clearInterval(this._heartbeatTimer)
+        clearInterval(this._acmeTimer)
+
+        this._recycling.forEach(recycling => clearTimeout(recycling.startupTimer))
+        this._recycling.clear()
+
+        this._pendingRestarts.forEach(timer => clearTimeout(timer))
+        this._pendingRestarts.clear()
+
+        if(this._rollingRestart !== null) {
+            clearTimeout(this._rollingRestart.startupTimer)
+            this._rollingRestart = null
+        }
+
+        this._allWorkers().forEach((worker) => {
             // Send a shutdown request to worker, worker will then gracefully close down
             // and request a disconnect
-            cluster.workers[id].send('shutdown')
+            worker.send('shutdown')
+        })
+
+        // No worker left to exit, e.g. all crashed and their restarts were pending
+        if(this._allWorkers().length === 0) {
+            this._allWorkersExited()
         }
     }
 
 
     _restartWorkers() {
-        this._numWorkersReady   = 0
-        this._firstInitDone     = false
+        if(this._restartMode === 'rolling') {
+            return this._startRollingRestart()
+        }
+
+        this._firstInitDone = false
+
+        systemd.notify({ 'STATUS': 'Restarting workers' })
+
+        this._activeWorkers().forEach((worker) => {
+            this._retireWorker(worker)
+
+            // We can already spawn new processes while the old ones are exiting
+            this._forkWorker(this._workerSlots.get(worker.id), 'restart')
+        })
+    }
+
+
+    _retireWorker(worker) {
+        this._retiringWorkers.add(worker.id)
+
+        if(worker.isConnected()) {
+            worker.send('shutdown')
+        }
+
+        // Forcefully kill a process after a certain time if it hasn't
+        // gracefully exited. The drain delay is the worker's own setting,
+        // workers that never started serving don't drain.
+        setTimeout(() => {
+            if (!worker.isDead()) {
+                worker.kill('SIGKILL')
+            }
+        }, 6000 + (this._drainDelays.get(worker.id) || 0)) // Make sure this is higher than http-terminator
+                                                           // grace perioid and drain delay in worker.js
+    }
+
+
+
+    /********************************************************************
+    *********************************************************************
+
+    ██████╗  ██████╗ ██╗     ██╗     ██╗███╗   ██╗ ██████╗
+    ██╔══██╗██╔═══██╗██║     ██║     ██║████╗  ██║██╔════╝
+    ██████╔╝██║   ██║██║     ██║     ██║██╔██╗ ██║██║  ███╗
+    ██╔══██╗██║   ██║██║     ██║     ██║██║╚██╗██║██║   ██║
+    ██║  ██║╚██████╔╝███████╗███████╗██║██║ ╚████║╚██████╔╝
+    ╚═╝  ╚═╝ ╚═════╝ ╚══════╝╚══════╝╚═╝╚═╝  ╚═══╝ ╚═════╝
+
+    *********************************************************************
+    ********************************************************************/
 
-        let wid
-        const workerIds = []
+    /*
+     * Rolling restart: fork a batch of replacement workers, wait until all
+     * of them report 'serverRunning', then retire the same number of old
+     * workers and move on to the next batch. If a replacement exits or
+     * fails to become ready in time, the rollout is aborted and the
+     * remaining old workers are left running.
+     */
+    _startRollingRestart() {
+        const oldWorkers = this._allWorkers().filter((worker) => {
+            return !this._retiringWorkers.has(worker.id)
+        })
 
-        for (wid in cluster.workers) {
-            workerIds.push(wid)
+        this._rollingRestart = {
+            queue:          oldWorkers,
+            batch:          [],
+            replacements:   [],
+            starting:       new Set(),
+            startupTimer:   null,
+            replaced:       0
         }
 
-        workerIds.forEach((wid) => {
-            cluster.workers[wid].send('shutdown')
+        masterLogger.log('info', `Rolling restart of ${oldWorkers.length} workers (batch size: ${this._restartBatchSize})`)
 
-            // Forcefully kill a process after a certain time if it hasn't
-            // gracefully exited
-            setTimeout(() => {
-                if (cluster.workers[wid]) {
-                    cluster.workers[wid].kill('SIGKILL')
-                }
-            }, 6000) // Make sure this is higher than http-terminator grace perioid
-                     // in worker.js
+        this._rollingRestartNextBatch()
+    }
 
-            // We can already spawn new processes while the old ones are exiting
-            cluster.fork()
+
+    _rollingRestartNextBatch() {
+        const rolling = this._rollingRestart
+
+        // Old workers may have died on their own while we were waiting
+        rolling.queue = rolling.queue.filter(worker => !worker.isDead())
+
+        if(rolling.queue.length === 0) {
+            masterLogger.log('info', `Rolling restart complete (${rolling.replaced} workers replaced)`)
+            this._rollingRestart = null
+            return
+        }
+
+        rolling.batch           = rolling.queue.splice(0, this._restartBatchSize)
+        rolling.replacements    = rolling.batch.map(worker => this._forkWorker(this._workerSlots.get(worker.id), 'restart'))
+
+        rolling.replacements.forEach(worker => rolling.starting.add(worker.id))
+
+        rolling.startupTimer = setTimeout(() => {
+            masterLogger.log('alert', `Replacement workers not ready within ${this._restartStartupTimeout} ms`)
+            this._abortRollingRestart()
+        }, this._restartStartupTimeout)
+    }
+
+
+    _rollingWorkerReady(worker) {
+        const rolling = this._rollingRestart
+
+        rolling.starting.delete(worker.id)
+
+        masterLogger.log('debug', 'Replacement worker process ' + chalk.bgRed(`[${worker.process.pid}]`) + ' ready')
+
+        if(rolling.starting.size > 0) {
+            return
+        }
+
+        clearTimeout(rolling.startupTimer)
+
+        // Whole batch is up, retire the old workers it replaces
+        for(const oldWorker of rolling.batch) {
+            if(!oldWorker.isDead()) {
+                this._retireWorker(oldWorker)
+            }
+        }
+
+        rolling.replaced += rolling.batch.length
+
+        this._rollingRestartNextBatch()
+    }
+
+
+    _abortRollingRestart() {
+        const rolling = this._rollingRestart
+
+        clearTimeout(rolling.startupTimer)
+
+        this._rollingRestart = null
+
+        // Get rid of this batch's replacements, old workers stay
+        for(const worker of rolling.replacements) {
+            if(!worker.isDead()) {
+                this._retireWorker(worker)
+            }
+        }
+
+        masterLogger.log(
+            'alert',
+            `Rolling restart aborted, keeping ${rolling.batch.length + rolling.queue.length} old workers`
+                + ` (${rolling.replaced} already replaced)`
+        )
+    }
+
+
+
+    /********************************************************************
+    *********************************************************************
+
+    ██╗  ██╗███████╗ █████╗ ██████╗ ████████╗██████╗ ███████╗ █████╗ ████████╗
+    ██║  ██║██╔════╝██╔══██╗██╔══██╗╚══██╔══╝██╔══██╗██╔════╝██╔══██╗╚══██╔══╝
+    ███████║█████╗  ███████║██████╔╝   ██║   ██████╔╝█████╗  ███████║   ██║
+    ██╔══██║██╔══╝  ██╔══██║██╔══██╗   ██║   ██╔══██╗██╔══╝  ██╔══██║   ██║
+    ██║  ██║███████╗██║  ██║██║  ██║   ██║   ██████╔╝███████╗██║  ██║   ██║
+    ╚═╝  ╚═╝╚══════╝╚═╝  ╚═╝╚═╝  ╚═╝   ╚═╝   ╚═════╝ ╚══════╝╚═╝  ╚═╝   ╚═╝
+
+    *********************************************************************
+    ********************************************************************/
+
+
+    /*
+     * Ping every ready worker over IPC. Workers answer with their event loop
+     * lag and memory usage; unresponsive or overloaded workers are recycled.
+     */
+    _heartbeat() {
+        const pingIfNoActivityInSeconds = (60 * 60) * 2
+        masterLogger.pingConsole(pingIfNoActivityInSeconds)
+
+        this._activeWorkers().forEach(async (worker) => {
+            // Unresponsive or not, a worker being recycled is retired once its replacement is ready
+            if(!this._readyWorkers.has(worker.id) || this._isBeingRecycled(worker)) {
+                return
+            }
+
+            const heartbeat = this._heartbeats.get(worker.id) || { missed: 0, lastSeen: null, stats: null }
+
+            this._heartbeats.set(worker.id, heartbeat)
+
+            const [stats, error] = await utils.handle(
+                this._requestFromWorker(worker, 'heartbeat', null, this._heartbeatTimeout)
+            )
+
+            // Worker may have been retired, recycled or exited while we waited
+            if(this._retiringWorkers.has(worker.id) || this._isBeingRecycled(worker) || worker.isDead()) {
+                return
+            }
+
+            if(error !== undefined) {
+                // Stays at the limit if a recycle couldn't replace the worker
+                if(heartbeat.missed < this._heartbeatMaxMissed) {
+                    heartbeat.missed++
+
+                    masterLogger.log(
+                        'warning',
+                        'Worker process ' + chalk.bgRed(`[${worker.process.pid}]`)
+                            + ` missed heartbeat (${heartbeat.missed}/${this._heartbeatMaxMissed})`
+                    )
+                }
+
+                if(heartbeat.missed >= this._heartbeatMaxMissed) {
+                    this._recycleWorker(worker, `unresponsive, missed ${heartbeat.missed} heartbeats`, 'alert')
+                }
+                return
+            }
+
+            heartbeat.missed    = 0
+            heartbeat.lastSeen  = Date.now()
+            heartbeat.stats     = stats
+
+            if(this._heartbeatMaxLag > 0 && stats.eventLoopLag > this._heartbeatMaxLag) {
+                this._recycleWorker(
+                    worker,
+                    `overloaded, event loop lag ${Math.round(stats.eventLoopLag)} ms`
+                        + ` exceeds ${this._heartbeatMaxLag} ms`,
+                    'alert'
+                )
+                return
+            }
+
+            const limitReason = this._workerLimitExceeded(stats)
+
+            if(limitReason !== null) {
+                this._recycleWorker(worker, limitReason, 'notice')
+            }
+        })
+    }
+
+
+    _workerLimitExceeded(stats) {
+        const megabyte  = 1024 * 1024
+        const rss       = Math.round(stats.memory.rss / megabyte)
+        const heap      = Math.round(stats.memory.heapUsed / megabyte)
+
+        if(this._workerMaxRss > 0 && rss > this._workerMaxRss) {
+            return `RSS ${rss} MB exceeds limit of ${this._workerMaxRss} MB`
+        }
+
+        if(this._workerMaxHeap > 0 && heap > this._workerMaxHeap) {
+            return `heap ${heap} MB exceeds limit of ${this._workerMaxHeap} MB`
+        }
+
+        if(this._workerMaxRequests > 0 && stats.requests >= this._workerMaxRequests) {
+            return `served ${stats.requests} requests, limit is ${this._workerMaxRequests}`
+        }
+
+        if(this._workerMaxAge > 0 && stats.uptime >= this._workerMaxAge) {
+            return `age ${Math.round(stats.uptime)} s exceeds limit of ${this._workerMaxAge} s`
+        }
+
+        return null
+    }
+
+
+    /*
+     * Replace a worker with a fresh one in the same slot. The old worker
+     * keeps serving until the replacement reports 'serverRunning', and is
+     * kept if the replacement fails to start.
+     */
+    _recycleWorker(worker, reason, level = 'notice') {
+        if(this._shuttingDown
+            || this._rollingRestart !== null
+            || this._retiringWorkers.has(worker.id)
+            || this._isBeingRecycled(worker)) {
+            return
+        }
+
+        masterLogger.log(level, 'Recycling worker process ' + chalk.bgRed(`[${worker.process.pid}]`) + `: ${reason}`)
+
+        const replacement = this._forkWorker(this._workerSlots.get(worker.id), 'recycle')
+
+        this._recycling.set(replacement.id, {
+            oldWorker:      worker,
+            startupTimer:   setTimeout(() => {
+                masterLogger.log('alert', `Replacement worker not ready within ${this._restartStartupTimeout} ms`)
+                this._recycling.delete(replacement.id)
+                this._retireWorker(replacement)
+            }, this._restartStartupTimeout)
+        })
+    }
+
+
+    _isBeingRecycled(worker) {
+        return [...this._recycling.values()].some(recycling => recycling.oldWorker === worker)
+    }
+
+
+    _recycleWorkerReady(replacement) {
+        const recycling = this._recycling.get(replacement.id)
+
+        clearTimeout(recycling.startupTimer)
+        this._recycling.delete(replacement.id)
+
+        masterLogger.log(
+            'info',
+            'Worker process ' + chalk.bgRed(`[${recycling.oldWorker.process.pid}]`)
+                + ' replaced by ' + chalk.bgRed(`[${replacement.process.pid}]`)
+        )
+
+        if(!recycling.oldWorker.isDead()) {
+            this._retireWorker(recycling.oldWorker)
+        }
+    }
+
+
+    _recycleFailed(replacement, slot, code, signal, wasRetiring) {
+        const recycling = this._recycling.get(replacement.id)
+
+        clearTimeout(recycling.startupTimer)
+        this._recycling.delete(replacement.id)
+
+        // Retired on purpose, e.g. by scaling down
+        if(wasRetiring) {
+            return
+        }
+
+        masterLogger.log(
+            'alert',
+            'Replacement worker process ' + chalk.bgRed(`[${replacement.process.pid}]`)
+                + ` exited during startup (code: ${code}, signal: ${signal})`
+        )
+
+        // The old worker died meanwhile, treat this as a crash of the slot
+        if(recycling.oldWorker.isDead() && !this._shuttingDown) {
+            this._restartCrashedWorker(replacement, slot, code, signal)
+        }
+    }
+
+
+
+    /********************************************************************
+    *********************************************************************
+
+    ██████╗ ██╗   ██╗██████╗ ███████╗██╗   ██╗██████╗
+    ██╔══██╗██║   ██║██╔══██╗██╔════╝██║   ██║██╔══██╗
+    ██████╔╝██║   ██║██████╔╝███████╗██║   ██║██████╔╝
+    ██╔═══╝ ██║   ██║██╔══██╗╚════██║██║   ██║██╔══██╗
+    ██║     ╚██████╔╝██████╔╝███████║╚██████╔╝██████╔╝
+    ╚═╝      ╚═════╝ ╚═════╝ ╚══════╝ ╚═════╝ ╚═════╝
+
+    *********************************************************************
+    ********************************************************************/
+
+
+    /*
+     * Cluster-wide publish/subscribe. Workers publish through the master,
+     * which relays the message to every ready worker, or to the worker in a
+     * single slot when options.slot is given. Messages for slots that have
+     * no ready worker (e.g. during a restart) are queued and delivered once
+     * the slot's new worker reports 'serverRunning'.
+     */
+    publish(channel, payload = null, options = {}) {
+        if(typeof channel !== 'string' || channel.length === 0) {
+            throw new Error('Message bus channel must be a non-empty string')
+        }
+
+        const slot = Number.isInteger(options.slot) ? options.slot : null
+
+        this._relayMessage(channel, payload, slot, process.pid)
+    }
+
+
+    // Receive messages published by workers in the master process
+    subscribe(channel, callback) {
+        if(typeof callback !== 'function') {
+            return
+        }
+
+        if(!this._subscriptions.has(channel)) {
+            this._subscriptions.set(channel, new Set())
+        }
+
+        this._subscriptions.get(channel).add(callback)
+    }
+
+
+    unsubscribe(channel, callback) {
+        if(this._subscriptions.has(channel)) {
+            this._subscriptions.get(channel).delete(callback)
+        }
+    }
+
+
+    _relayMessage(channel, payload, slot, fromPid) {
+        const message = { 'type': 'message', 'channel': channel, 'payload': payload, 'from': fromPid }
+
+        if(fromPid !== process.pid && this._subscriptions.has(channel)) {
+            // Catches both throwing and rejecting (async) subscribers
+            this._subscriptions.get(channel).forEach((callback) => {
+                Promise.resolve()
+                    .then(() => callback(payload, fromPid))
+                    .catch(error => masterLogger.safeError('error', `Message bus subscriber for "${channel}" failed`, error))
+            })
+        }
+
+        const slots = (slot === null) ? this._activeSlots() : [slot]
+
+        slots.forEach((targetSlot) => {
+            const workers = this._activeWorkers().filter((worker) => {
+                return this._workerSlots.get(worker.id) === targetSlot
+                    && this._readyWorkers.has(worker.id)
+                    && worker.isConnected()
+            })
+
+            if(workers.length > 0) {
+                workers.forEach(worker => worker.send(message))
+            } else {
+                this._queueMessage(targetSlot, message)
+            }
+        })
+    }
+
+
+    _queueMessage(slot, message) {
+        const maxQueuedMessages = 1000
+
+        if(!this._messageQueues.has(slot)) {
+            this._messageQueues.set(slot, [])
+        }
+
+        const queue = this._messageQueues.get(slot)
+
+        queue.push(message)
+
+        if(queue.length > maxQueuedMessages) {
+            queue.shift()
+            masterLogger.log('warning', `Message queue for worker slot ${slot} is full, dropped oldest message`)
+        }
+    }
+
+
+    _flushMessageQueue(worker) {
+        const slot  = this._workerSlots.get(worker.id)
+        const queue = this._messageQueues.get(slot)
+
+        if(!queue) {
+            return
+        }
+
+        this._messageQueues.delete(slot)
+
+        queue.forEach(message => worker.send(message))
+    }
+
+
+
+    /********************************************************************
+    *********************************************************************
+
+    ███████╗ ██████╗██╗  ██╗███████╗██████╗ ██╗   ██╗██╗     ███████╗██████╗
+    ██╔════╝██╔════╝██║  ██║██╔════╝██╔══██╗██║   ██║██║     ██╔════╝██╔══██╗
+    ███████╗██║     ███████║█████╗  ██║  ██║██║   ██║██║     █████╗  ██████╔╝
+    ╚════██║██║     ██╔══██║██╔══╝  ██║  ██║██║   ██║██║     ██╔══╝  ██╔══██╗
+    ███████║╚██████╗██║  ██║███████╗██████╔╝╚██████╔╝███████╗███████╗██║  ██║
+    ╚══════╝ ╚═════╝╚═╝  ╚═╝╚══════╝╚═════╝  ╚═════╝ ╚══════╝╚══════╝╚═╝  ╚═╝
+
+    *********************************************************************
+    ********************************************************************/
+
+
+    /*
+     * Schedule a job that runs in the master process, handler receives an
+     * AbortSignal that fires on timeout or shutdown.
+     *
+     * options: { cron: '0 * * * *' } or { interval: ms }, optional timeout in ms
+     */
+    schedule(name, options, handler) {
+        if(typeof handler !== 'function') {
+            throw new Error(`Job "${name}": handler must be a function`)
+        }
+
+        return this._scheduler.addJob(name, options, signal => handler(signal))
+    }
+
+
+    /*
+     * Workers register their jobs with UnnodeWorker.schedule(), the job is
+     * scheduled here once and each run goes to a single elected worker
+     */
+    _registerWorkerJob(worker, name, options) {
+        if(this._workerJobs.has(name)) {
+            this._workerJobs.get(name).workers.add(worker.id)
+            return
+        }
+
+        if(this._scheduler.hasJob(name)) {
+            masterLogger.log('error', `Worker job "${name}" conflicts with a master job of the same name, ignoring it`)
+            return
+        }
+
+        try {
+            this._scheduler.addJob(name, options, signal => this._runWorkerJob(name, signal))
+            this._workerJobs.set(name, { workers: new Set([worker.id]), timeout: options.timeout })
+        } catch(error) {
+            masterLogger.safeError('error', `Unable to schedule worker job "${name}"`, error)
+        }
+    }
+
+
+    async _runWorkerJob(name, signal) {
+        const workerJob = this._workerJobs.get(name)
+
+        // Elect the ready worker with the lowest slot number
+        const worker = this._activeWorkers()
+            .filter(worker => workerJob.workers.has(worker.id) && this._readyWorkers.has(worker.id))
+            .sort((a, b) => this._workerSlots.get(a.id) - this._workerSlots.get(b.id))
+            .shift()
+
+        if(!worker) {
+            throw new Error('no ready worker has registered this job')
+        }
+
+        const onAbort = () => {
+            if(worker.isConnected()) {
+                worker.send({ 'type': 'cancelJob', 'name': name })
+            }
+        }
+
+        signal.addEventListener('abort', onAbort)
+
+        try {
+            // Scheduler enforces the job timeout, give the worker a little extra
+            return await this._requestFromWorker(worker, 'runJob', { 'name': name }, workerJob.timeout + 1000)
+        } finally {
+            signal.removeEventListener('abort', onAbort)
+        }
+    }
+
+
+
+    /********************************************************************
+    *********************************************************************
+
+     ██████╗ ██████╗ ███╗   ██╗████████╗██████╗  ██████╗ ██╗
+    ██╔════╝██╔═══██╗████╗  ██║╚══██╔══╝██╔══██╗██╔═══██╗██║
+    ██║     ██║   ██║██╔██╗ ██║   ██║   ██████╔╝██║   ██║██║
+    ██║     ██║   ██║██║╚██╗██║   ██║   ██╔══██╗██║   ██║██║
+    ╚██████╗╚██████╔╝██║ ╚████║   ██║   ██║  ██║╚██████╔╝███████╗
+     ╚═════╝ ╚═════╝ ╚═╝  ╚═══╝   ╚═╝   ╚═╝  ╚═╝ ╚═════╝ ╚══════╝
+
+    *********************************************************************
+    ********************************************************************/
+
+    async _startControlSocket(serverDir) {
+        const socketPath = this._options.controlSocket
+
+        if(typeof socketPath !== 'string' || socketPath.length === 0) {
+            return true
+        }
+
+        controlServer.registerCommand('status', () => this.getStatus())
+
+        controlServer.registerCommand('restart', () => {
+            if(this._singleProcess) {
+                throw new Error('Worker restarts are not supported in single-process mode')
+            }
+            if(this._shuttingDown || !this._firstInitDone || this._rollingRestart !== null) {
+                throw new Error('Workers are already starting, restarting or shutting down')
+            }
+            masterLogger.log('info', 'Restart requested via control socket, restarting workers')
+            this._restartWorkers()
+            return true
+        })
+
+        controlServer.registerCommand('reload-tls', () => {
+            masterLogger.log('info', 'TLS certificate reload requested via control socket')
+            return this.reloadCertificates()
+        })
+
+        controlServer.registerCommand('scale', numWorkers => this.scaleTo(numWorkers))
+
+        controlServer.registerCommand('set-log-level', (level) => {
+            masterLogger.setLogLevel(level)
+            masterLogger.log('info', `Log level set to ${level} via control socket`)
+            return level
+        })
+
+        controlServer.registerCommand('shutdown', () => {
+            if(this._shuttingDown === false) {
+                masterLogger.log('info', 'Shutdown requested via control socket, shutting down workers')
+                // Let the response go out before the socket closes
+                setImmediate(() => this._shutdownWorkers())
+            }
+            return true
+        })
+
+        // Relative paths are relative to the server directory
+        await controlServer.listen(path.resolve(serverDir, socketPath))
+
+        return true
+    }
+
+
+    _closeControlSocket() {
+        return controlServer.close()
+    }
+
+
+
+    /********************************************************************
+    *********************************************************************
+
+     █████╗  ██████╗███╗   ███╗███████╗
+    ██╔══██╗██╔════╝████╗ ████║██╔════╝
+    ███████║██║     ██╔████╔██║█████╗
+    ██╔══██║██║     ██║╚██╔╝██║██╔══╝
+    ██║  ██║╚██████╗██║ ╚═╝ ██║███████╗
+    ╚═╝  ╚═╝ ╚═════╝╚═╝     ╚═╝╚══════╝
+
+    *********************************************************************
+    ********************************************************************/
+
+    /*
+     * Master issues and renews certificates so that only one process talks
+     * to the ACME server. Workers answer HTTP-01 challenges by asking master
+     * for the key authorization, and reload certificates once they're saved.
+     */
+    async _startAcme(domainGroups) {
+        this._acmeDir       = path.resolve(this._serverDir, this._options.acmeDir)
+        this._acmeDomains   = domainGroups
+
+        if(domainGroups.length === 0) {
+            masterLogger.log('warning', 'ACME is enabled but no vhost needs a certificate')
+            return
+        }
+
+        await this._renewCertificates()
+
+        this._acmeTimer = setInterval(() => this._renewCertificates(), ACME_CHECK_INTERVAL)
+    }
+
+
+    // Issue missing certificates and renew ones expiring within acmeRenewDays
+    async _renewCertificates() {
+        if(this._acmeRunning || this._shuttingDown) {
+            return
+        }
+
+        this._acmeRunning = true
+
+        let issued = 0
+
+        for(const domains of this._acmeDomains) {
+            if(!this._certificateNeedsRenewal(domains)) {
+                continue
+            }
+
+            const [, error] = await utils.handle(this._issueCertificate(domains))
+
+            if(error !== undefined) {
+                masterLogger.log('error', `ACME: certificate request for ${domains.join(', ')} failed: ${error.message}`)
+            } else {
+                issued++
+            }
+        }
+
+        this._acmeRunning = false
+
+        if(issued > 0 && !this._shuttingDown) {
+            await this.reloadCertificates()
+        }
+    }
+
+
+    _certificateNeedsRenewal(domains) {
+        const certData = utils.readFileSync(acmeCertificatePaths(this._acmeDir, domains).cert)
+
+        if(certData === null) {
+            return true
+        }
+
+        try {
+            const { altNames, daysLeft } = certificateInfo(certData)
+
+            return daysLeft < this._options.acmeRenewDays || domains.some(domain => !altNames.includes(domain))
+        } catch(_) {
+            return true
+        }
+    }
+
+
+    async _issueCertificate(domains) {
+        masterLogger.log('info', `ACME: requesting certificate for ${domains.join(', ')}`)
+
+        const client    = await this._getAcmeClient()
+        const order     = await client.newOrder(domains)
+
+        for(const authorizationUrl of order.authorizations) {
+            const authorization = await client.getResource(authorizationUrl)
+
+            if(authorization.status === 'valid') {
+                continue
+            }
+
+            const challenge = authorization.challenges.find(challenge => challenge.type === 'http-01')
+
+            if(challenge === undefined) {
+                throw new AcmeError(`No HTTP-01 challenge offered for ${authorization.identifier.value}`)
+            }
+
+            this._acmeChallenges.set(challenge.token, client.keyAuthorization(challenge.token))
+
+            try {
+                await client.respondToChallenge(challenge.url)
+                await client.waitForStatus(authorizationUrl, 'valid')
+            } finally {
+                this._acmeChallenges.delete(challenge.token)
+            }
+        }
+
+        const certificateKey    = generateKey()
+        const validOrder        = await client.finalize(order, createCsr(domains, certificateKey))
+        const chain             = await client.downloadCertificate(validOrder.certificate)
+
+        saveCertificate(
+            acmeCertificatePaths(this._acmeDir, domains),
+            certificateKey.export({ 'type': 'pkcs8', 'format': 'pem' }),
+            chain
+        )
+
+        const { validTo } = certificateInfo(chain)
+
+        masterLogger.log('notice', `ACME: issued certificate for ${domains.join(', ')}, expires ${validTo.toISOString()}`)
+    }
+
+
+    // Account key is created on first use and kept in acmeDir
+    async _getAcmeClient() {
+        if(this._acmeClient !== null) {
+            return this._acmeClient
+        }
+
+        const accountKeyPath = path.join(this._acmeDir, 'account.key')
+
+        let accountKeyPem = utils.readFileSync(accountKeyPath)
+
+        if(accountKeyPem === null) {
+            accountKeyPem = generateKey().export({ 'type': 'pkcs8', 'format': 'pem' })
+            fs.mkdirSync(this._acmeDir, { 'recursive': true, 'mode': 0o700 })
+            fs.writeFileSync(accountKeyPath, accountKeyPem, { 'mode': 0o600 })
+        }
+
+        const caPath = this._options.acmeDirectoryCa
+
+        const client = new AcmeClient({
+            'directoryUrl': this._options.acmeDirectoryUrl,
+            'accountKey': crypto.createPrivateKey(accountKeyPem),
+            'ca': caPath ? fs.readFileSync(path.resolve(this._serverDir, caPath)) : null
+        })
+
+        await client.register(this._options.acmeEmail)
+
+        this._acmeClient = client
+
+        return client
+    }
+
+
+
+    /********************************************************************
+    *********************************************************************
+
+    ███╗   ███╗███████╗████████╗██████╗ ██╗ ██████╗███████╗
+    ████╗ ████║██╔════╝╚══██╔══╝██╔══██╗██║██╔════╝██╔════╝
+    ██╔████╔██║█████╗     ██║   ██████╔╝██║██║     ███████╗
+    ██║╚██╔╝██║██╔══╝     ██║   ██╔══██╗██║██║     ╚════██║
+    ██║ ╚═╝ ██║███████╗   ██║   ██║  ██║██║╚██████╗███████║
+    ╚═╝     ╚═╝╚══════╝   ╚═╝   ╚═╝  ╚═╝╚═╝ ╚═════╝╚══════╝
+
+    *********************************************************************
+    ********************************************************************/
+
+    /*
+     * Prometheus metrics on a separate port (metricsPort option). Worker
+     * metrics are collected over IPC on every scrape and merged with the
+     * master's own metrics. Counters of replaced workers are kept as of
+     * their last scrape, so cluster totals don't reset.
+     */
+    async _startMetricsServer() {
+        this._metrics
+            .counter('unnode_worker_exits_total', 'Worker process exits by exit code and signal')
+            .counter('unnode_worker_crashes_total', 'Abnormal worker process exits')
+            .counter('unnode_worker_crash_loops_total', 'Worker slot crash loops detected')
+            .counter('unnode_worker_restarts_total', 'Replacement workers forked, by reason')
+            .gauge('unnode_workers', 'Configured number of workers')
+            .gauge('unnode_workers_ready', 'Number of workers serving requests')
+            .gauge('unnode_master_resident_memory_bytes', 'Master process resident memory size in bytes')
+            .gauge('unnode_master_uptime_seconds', 'Master process uptime in seconds')
+
+        const port = this._options.metricsPort
+
+        if(port === null) {
+            return true
+        }
+
+        const host = this._options.metricsHost
+
+        this._metricsServer = http.createServer(async (req, res) => {
+            if(req.method !== 'GET' || req.url.split('?')[0] !== this._options.metricsPath) {
+                res.writeHead(404, { 'Content-Type': 'text/plain' })
+                return res.end('Not Found\n')
+            }
+
+            const [body, error] = await utils.handle(this.collectMetrics())
+
+            if(error !== undefined) {
+                masterLogger.log('error', `Failed to collect metrics: ${error.message}`)
+                res.writeHead(500, { 'Content-Type': 'text/plain' })
+                return res.end('Internal Server Error\n')
+            }
+
+            res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' })
+            res.end(body)
+        })
+
+        await new Promise((resolve, reject) => {
+            this._metricsServer.once('error', reject)
+            this._metricsServer.listen(port, host, () => {
+                this._metricsServer.removeListener('error', reject)
+                resolve()
+            })
+        })
+
+        masterLogger.log('info', `Metrics server listening on ${host}:${port}${this._options.metricsPath}`)
+
+        return true
+    }
+
+
+    // Metrics of the whole cluster in Prometheus text format
+    async collectMetrics() {
+        this._metrics.set('unnode_workers', {}, this._numWorkers)
+        this._metrics.set('unnode_workers_ready', {}, this._countReadyWorkers())
+        this._metrics.set('unnode_master_resident_memory_bytes', {}, process.memoryUsage().rss)
+        this._metrics.set('unnode_master_uptime_seconds', {}, process.uptime())
+
+        // Oldest worker first, so a replacement's gauges win over the worker
+        // it replaces in the same slot
+        const workers = [...this._allWorkers()].sort((a, b) => a.id - b.id)
+
+        // Workers that don't answer in time are served from their last snapshot
+        const workerSnapshots = await Promise.all(workers.map(async (worker) => {
+            const [snapshot, error] = await utils.handle(this._requestFromWorker(worker, 'metrics'))
+
+            if(error === undefined) {
+                this._workerMetrics.set(worker.id, snapshot)
+            }
+
+            return this._workerMetrics.get(worker.id) || []
+        }))
+
+        return renderPrometheus(mergeSnapshots([this._metrics.snapshot(), this._exitedWorkerMetrics, ...workerSnapshots]))
+    }
+
+
+    // Add an exited worker's counters and histograms to the retained totals
+    _retainWorkerMetrics(worker) {
+        const snapshot = this._workerMetrics.get(worker.id)
+
+        this._workerMetrics.delete(worker.id)
+
+        if(snapshot !== undefined) {
+            this._exitedWorkerMetrics = mergeSnapshots([this._exitedWorkerMetrics, snapshot.filter(metric => metric.type !== 'gauge')])
+        }
+    }
+
+
+    _closeMetricsServer() {
+        return new Promise((resolve) => {
+            if(this._metricsServer === null) {
+                return resolve()
+            }
+            this._metricsServer.close(() => {
+                this._metricsServer = null
+                resolve()
+            })
         })
     }
 
@@ -250,7 +1687,7 @@ class UnnodeMaster {
 
     async _startWebpackWatcher(serverDir) {
         if(process.env.NODE_ENV !== 'production') {
-            const webpackConfigPath     = process.env.UNNODE_WEBPACK_DEV_CONFIG
+            const webpackConfigPath     = this._options.webpackDevConfig
             let webpackConfigFullPath   = null
     
             if(typeof webpackConfigPath === 'string' && webpackConfigPath.length > 0) {
@@ -0,0 +1,248 @@
+//
+//
+// Unnode.js - A Node.js back end framework
+//
+// https://unnodejs.org
+//
+// Copyright (c) 2020, 2021 RicForge - https://ricforge.com
+//
+// RicForge is a Nurminen Development Oy Ltd organization - https://nurminen.dev
+//
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to
+// deal in the Software without restriction, including without limitation the
+// rights to use, copy, modify, merge, publish, distribute, sublicense, and/or
+// sell copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+// FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+// DEALINGS IN THE SOFTWARE.
+//
+//
+
+
+
+'use strict'
+
+
+/*
+
+Metrics registry
+
+Minimal Prometheus style counters, gauges and histograms. Workers record
+into their own registry, the master collects snapshots from every worker
+over IPC, merges them with its own registry and renders the result in the
+Prometheus text exposition format.
+
+Counter and histogram samples with the same metric name and labels are
+summed when merging. Gauges aren't, the sample from the last snapshot wins,
+so per-worker gauges need a distinguishing label (e.g. slot).
+
+*/
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]
+
+
+class UnnodeMetrics {
+    _metrics = new Map()
+
+
+    counter(name, help) {
+        return this._define(name, 'counter', help)
+    }
+
+
+    gauge(name, help) {
+        return this._define(name, 'gauge', help)
+    }
+
+
+    histogram(name, help, buckets = DEFAULT_BUCKETS) {
+        return this._define(name, 'histogram', help, [...buckets].sort((a, b) => a - b))
+    }
+
+
+    inc(name, labels = {}, value = 1) {
+        const sample = this._sample(name, labels, 'counter')
+
+        sample.value += value
+    }
+
+
+    set(name, labels = {}, value = 0) {
+        const sample = this._sample(name, labels, 'gauge')
+
+        sample.value = value
+    }
+
+
+    observe(name, labels = {}, value = 0) {
+        const metric = this._metrics.get(name)
+        const sample = this._sample(name, labels, 'histogram')
+
+        metric.buckets.forEach((bound, idx) => {
+            if(value <= bound) {
+                sample.counts[idx]++
+            }
+        })
+
+        sample.sum += value
+        sample.count++
+    }
+
+
+    // Plain object copy that can be sent over IPC
+    snapshot() {
+        return [...this._metrics.values()].map(metric => ({
+            'name':     metric.name,
+            'type':     metric.type,
+            'help':     metric.help,
+            'buckets':  metric.buckets,
+            'samples':  [...metric.samples.values()].map(sample => JSON.parse(JSON.stringify(sample)))
+        }))
+    }
+
+
+    _define(name, type, help, buckets = null) {
+        if(!/^[a-zA-Z_:][a-zA-Z0-9_:]*$/.test(name)) {
+            throw new Error(`Invalid metric name: ${name}`)
+        }
+
+        const existing = this._metrics.get(name)
+
+        if(existing !== undefined) {
+            if(existing.type !== type) {
+                throw new Error(`Metric ${name} is already defined as a ${existing.type}`)
+            }
+            return this
+        }
+
+        this._metrics.set(name, { 'name': name, 'type': type, 'help': help, 'buckets': buckets, 'samples': new Map() })
+
+        return this
+    }
+
+
+    _sample(name, labels, type) {
+        const metric = this._metrics.get(name)
+
+        if(metric === undefined || metric.type !== type) {
+            throw new Error(`Metric ${name} is not a defined ${type}`)
+        }
+
+        const key = labelsKey(labels)
+
+        let sample = metric.samples.get(key)
+
+        if(sample === undefined) {
+            sample = type === 'histogram'
+                ? { 'labels': { ...labels }, 'counts': metric.buckets.map(() => 0), 'sum': 0, 'count': 0 }
+                : { 'labels': { ...labels }, 'value': 0 }
+
+            metric.samples.set(key, sample)
+        }
+
+        return sample
+    }
+}
+
+
+// Merge snapshots from several registries, summing counters and histograms with equal labels
+function mergeSnapshots(snapshots) {
+    const merged = new Map()
+
+    snapshots.flat().forEach((metric) => {
+        let target = merged.get(metric.name)
+
+        if(target === undefined) {
+            target = { ...metric, 'samples': new Map() }
+            merged.set(metric.name, target)
+        } else if(target.type !== metric.type) {
+            return
+        }
+
+        metric.samples.forEach((sample) => {
+            const key       = labelsKey(sample.labels)
+            const existing  = target.samples.get(key)
+
+            if(existing === undefined) {
+                target.samples.set(key, JSON.parse(JSON.stringify(sample)))
+            } else if(metric.type === 'histogram') {
+                sample.counts.forEach((count, idx) => { existing.counts[idx] += count })
+                existing.sum    += sample.sum
+                existing.count  += sample.count
+            } else if(metric.type === 'counter') {
+                existing.value  += sample.value
+            } else {
+                existing.value  = sample.value
+            }
+        })
+    })
+
+    return [...merged.values()].map(metric => ({ ...metric, 'samples': [...metric.samples.values()] }))
+}
+
+
+// Prometheus text exposition format 0.0.4
+function renderPrometheus(snapshot) {
+    const lines = []
+
+    snapshot.forEach((metric) => {
+        lines.push(`# HELP ${metric.name} ${escapeHelp(metric.help)}`)
+        lines.push(`# TYPE ${metric.name} ${metric.type}`)
+
+        metric.samples.forEach((sample) => {
+            if(metric.type === 'histogram') {
+                // Bucket counts are already cumulative, see UnnodeMetrics#observe
+                metric.buckets.forEach((bound, idx) => {
+                    lines.push(`${metric.name}_bucket${renderLabels(sample.labels, { 'le': String(bound) })} ${sample.counts[idx]}`)
+                })
+                lines.push(`${metric.name}_bucket${renderLabels(sample.labels, { 'le': '+Inf' })} ${sample.count}`)
+                lines.push(`${metric.name}_sum${renderLabels(sample.labels)} ${sample.sum}`)
+                lines.push(`${metric.name}_count${renderLabels(sample.labels)} ${sample.count}`)
+            } else {
+                lines.push(`${metric.name}${renderLabels(sample.labels)} ${sample.value}`)
+            }
+        })
+    })
+
+    return lines.join('\n') + '\n'
+}
+
+
+function labelsKey(labels) {
+    return JSON.stringify(Object.keys(labels).sort().map(key => [key, String(labels[key])]))
+}
+
+
+function renderLabels(labels, extra = {}) {
+    const all = Object.entries({ ...labels, ...extra })
+
+    if(all.length === 0) {
+        return ''
+    }
+
+    return '{' + all.map(([key, value]) => `${key}="${escapeLabelValue(value)}"`).join(',') + '}'
+}
+
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"')
+}
+
+
+function escapeHelp(help) {
+    return String(help).replace(/\\/g, '\\\\').replace(/\n/g, '\\n')
+}
+
+
+export { UnnodeMetrics, mergeSnapshots, renderPrometheus, DEFAULT_BUCKETS }
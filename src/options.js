@@ -0,0 +1,426 @@
+//
+//
+// Unnode.js - A Node.js back end framework
+//
+// https://unnodejs.org
+//
+// Copyright (c) 2020, 2021 RicForge - https://ricforge.com
+//
+// RicForge is a Nurminen Development Oy Ltd organization - https://nurminen.dev
+//
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to
+// deal in the Software without restriction, including without limitation the
+// rights to use, copy, modify, merge, publish, distribute, sublicense, and/or
+// sell copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+// FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+// DEALINGS IN THE SOFTWARE.
+//
+//
+
+
+
+'use strict'
+
+import moment                       from 'moment-timezone'
+
+import { isValidProxyEntry }        from './proxy.js'
+import * as utils                   from './utils.js'
+
+
+/*
+
+Unnode.js options
+
+master.init(serverDir, options) and worker.setupServer(serverDir, options)
+take an options object. Every option falls back to its environment
+variable and then to its default. The resolved options are validated
+together and all invalid values are reported in a single error, instead
+of being silently replaced by defaults.
+
+Schema entries:
+
+  env:      environment variable(s) used when the option is not given,
+            first one that is set wins
+  type:     integer, port, boolean, string, enum, timezone, urlPath,
+            serverConfig, listeners
+  min/max:  limits for integer
+  values:   allowed values for enum
+  default:  value when neither option nor env var is set
+
+*/
+
+
+// Error with the list of all validation problems in .errors
+class UnnodeValidationError extends Error {
+    constructor(message, errors) {
+        super(`${message}:\n  - ${errors.join('\n  - ')}`)
+
+        this.name   = 'UnnodeValidationError'
+        this.errors = errors
+    }
+}
+
+
+const loggerOptionsSchema = {
+    'logFile':                  { 'env': 'UNNODE_LOGFILE',                   'type': 'string' },
+    'timezone':                 { 'env': 'UNNODE_TIMEZONE',                  'type': 'timezone' },
+    'disableTimestampConsole':  { 'env': 'UNNODE_DISABLE_TIMESTAMP_CONSOLE', 'type': 'boolean', 'default': false },
+    'rollbarAccessToken':       { 'env': 'ROLLBAR_ACCESS_TOKEN',             'type': 'string' },
+    'rollbarEnvironment':       { 'env': 'ROLLBAR_ENVIRONMENT',              'type': 'string' }
+}
+
+
+// Durations are in milliseconds unless noted otherwise
+const masterOptionsSchema = {
+    ...loggerOptionsSchema,
+
+    // Defaults for workers and workersMax depend on CPU count, see UnnodeMaster#init
+    'workers':                  { 'env': 'UNNODE_WORKERS',                   'type': 'integer', 'min': 0 },
+    'workersMax':               { 'env': 'UNNODE_WORKERS_MAX',               'type': 'integer', 'min': 1 },
+
+    'restartMode':              { 'env': 'UNNODE_RESTART_MODE',              'type': 'enum', 'values': ['all', 'rolling'], 'default': 'all' },
+    'restartBatchSize':         { 'env': 'UNNODE_RESTART_BATCH_SIZE',        'type': 'integer', 'min': 1, 'default': 1 },
+    'restartStartupTimeout':    { 'env': 'UNNODE_RESTART_STARTUP_TIMEOUT',   'type': 'integer', 'min': 1, 'default': 30000 },
+    'restartBackoffInitial':    { 'env': 'UNNODE_RESTART_BACKOFF_INITIAL',   'type': 'integer', 'min': 0, 'default': 1000 },
+    'restartBackoffMax':        { 'env': 'UNNODE_RESTART_BACKOFF_MAX',       'type': 'integer', 'min': 0, 'default': 60000 },
+
+    'crashLoopWindow':          { 'env': 'UNNODE_CRASH_LOOP_WINDOW',         'type': 'integer', 'min': 1, 'default': 60000 },
+    'crashLoopMaxRestarts':     { 'env': 'UNNODE_CRASH_LOOP_MAX_RESTARTS',   'type': 'integer', 'min': 1, 'default': 5 },
+    'crashLoopExit':            { 'env': 'UNNODE_CRASH_LOOP_EXIT',           'type': 'boolean', 'default': false },
+
+    'heartbeatInterval':        { 'env': 'UNNODE_HEARTBEAT_INTERVAL',        'type': 'integer', 'min': 1, 'default': 10000 },
+    'heartbeatTimeout':         { 'env': 'UNNODE_HEARTBEAT_TIMEOUT',         'type': 'integer', 'min': 1, 'default': 5000 },
+    'heartbeatMaxMissed':       { 'env': 'UNNODE_HEARTBEAT_MAX_MISSED',      'type': 'integer', 'min': 1, 'default': 3 },
+    'heartbeatMaxLag':          { 'env': 'UNNODE_HEARTBEAT_MAX_LAG',         'type': 'integer', 'min': 0, 'default': 0 },
+
+    // RSS and heap in MB, age in seconds, 0 = disabled
+    'workerMaxRss':             { 'env': 'UNNODE_WORKER_MAX_RSS',            'type': 'integer', 'min': 0, 'default': 0 },
+    'workerMaxHeap':            { 'env': 'UNNODE_WORKER_MAX_HEAP',           'type': 'integer', 'min': 0, 'default': 0 },
+    'workerMaxRequests':        { 'env': 'UNNODE_WORKER_MAX_REQUESTS',       'type': 'integer', 'min': 0, 'default': 0 },
+    'workerMaxAge':             { 'env': 'UNNODE_WORKER_MAX_AGE',            'type': 'integer', 'min': 0, 'default': 0 },
+
+    'storeSnapshot':            { 'env': 'UNNODE_STORE_SNAPSHOT',            'type': 'string' },
+    'storeSnapshotInterval':    { 'env': 'UNNODE_STORE_SNAPSHOT_INTERVAL',   'type': 'integer', 'min': 1, 'default': 60000 },
+
+    // Relative to the server directory, as for unnode ctl --dir
+    'controlSocket':            { 'env': 'UNNODE_CONTROL_SOCKET',            'type': 'string' },
+
+    // Prometheus metrics server, disabled unless metricsPort is set
+    'metricsPort':              { 'env': 'UNNODE_METRICS_PORT',              'type': 'port' },
+    'metricsHost':              { 'env': 'UNNODE_METRICS_HOST',              'type': 'string', 'default': '127.0.0.1' },
+    'metricsPath':              { 'env': 'UNNODE_METRICS_PATH',              'type': 'urlPath', 'default': '/metrics' },
+
+    'webpackDevConfig':         { 'env': 'UNNODE_WEBPACK_DEV_CONFIG',        'type': 'string' },
+
+    // ACME (RFC 8555) certificates for vhosts without a secureContext entry.
+    // acmeDir is relative to the server directory, acmeDirectoryCa is an
+    // extra CA file trusted for the directory server (e.g. Pebble's)
+    'acme':                     { 'env': 'UNNODE_ACME',                      'type': 'boolean', 'default': false },
+    'acmeDirectoryUrl':         { 'env': 'UNNODE_ACME_DIRECTORY_URL',        'type': 'string', 'default': 'https://acme-v02.api.letsencrypt.org/directory' },
+    'acmeDirectoryCa':          { 'env': 'UNNODE_ACME_DIRECTORY_CA',         'type': 'string' },
+    'acmeEmail':                { 'env': 'UNNODE_ACME_EMAIL',                'type': 'string' },
+    'acmeDir':                  { 'env': 'UNNODE_ACME_DIR',                  'type': 'string', 'default': 'acme' },
+    'acmeRenewDays':            { 'env': 'UNNODE_ACME_RENEW_DAYS',           'type': 'integer', 'min': 1, 'default': 30 }
+}
+
+
+const workerOptionsSchema = {
+    // Server config file path (.js, .mjs, .json, .yaml, .yml; relative to the
+    // server directory), or the server config array itself
+    'serverConfig':             { 'env': 'UNNODE_SERVER_CONFIG',             'type': 'serverConfig' },
+
+    // Environment name for server config overlays, e.g. unnode-server-config.production.yaml
+    'configEnv':                { 'env': ['UNNODE_CONFIG_ENV', 'NODE_ENV'],  'type': 'string' },
+
+    'listenHost':               { 'env': 'UNNODE_SERVER_LISTEN_HOST',        'type': 'string', 'default': '0.0.0.0' },
+
+    /*
+     * Listener definitions, replace port, securePort and listenHost when set
+     * (UNNODE_SERVER_LISTENERS is JSON):
+     *
+     * { protocol: 'http' | 'https', host: '::', port: 443, ipv6Only: true,
+     *   http2: true, tls: { key, cert, ca, minVersion }, defaultVhost: 'example.com' }
+     * { protocol: 'http', path: '/run/app/http.sock', mode: '660' }
+     *
+     * tls file paths default to the secureDefault* options, http2 and
+     * defaultVhost to the options of the same name
+     */
+    'listeners':                { 'env': 'UNNODE_SERVER_LISTENERS',          'type': 'listeners' },
+
+    // Respect PORT env var, e.g. Heroku dynamic port number
+    'port':                     { 'env': ['PORT', 'UNNODE_SERVER_INSECURE_PORT'], 'type': 'port' },
+    'securePort':               { 'env': 'UNNODE_SERVER_SECURE_PORT',        'type': 'port' },
+
+    /*
+     * Proxies whose forwarding headers (Forwarded, X-Forwarded-*) are
+     * believed for client address, protocol and host: a hop count, or a list
+     * of addresses, CIDRs and the keywords loopback, linklocal, uniquelocal
+     * (UNNODE_TRUSTED_PROXIES is comma separated). Unset trusts no one.
+     */
+    'trustedProxies':           { 'env': 'UNNODE_TRUSTED_PROXIES',           'type': 'trustedProxies' },
+
+    // Header family the trusted proxies set: x-forwarded (X-Forwarded-*) or forwarded (RFC 7239), never both
+    'forwardedHeader':          { 'env': 'UNNODE_FORWARDED_HEADER',          'type': 'enum', 'values': ['x-forwarded', 'forwarded'], 'default': 'x-forwarded' },
+
+    // Host to route requests (and pick the SNI certificate) for when no vhost matches
+    'defaultVhost':             { 'env': 'UNNODE_SERVER_DEFAULT_VHOST',      'type': 'string' },
+
+    'secureDefaultKey':         { 'env': 'UNNODE_SERVER_SECURE_DEFAULT_KEY',  'type': 'string' },
+    'secureDefaultCert':        { 'env': 'UNNODE_SERVER_SECURE_DEFAULT_CERT', 'type': 'string' },
+    'secureDefaultCa':          { 'env': 'UNNODE_SERVER_SECURE_DEFAULT_CA',   'type': 'string' },
+    // HTTP/2 (with HTTP/1.1 fallback) for HTTPS servers
+    'http2':                    { 'env': 'UNNODE_SERVER_HTTP2',              'type': 'boolean', 'default': false },
+
+    'secureMinVersion':         { 'env': 'UNNODE_SERVER_SECURE_MINVERSION',   'type': 'enum', 'values': ['TLSv1', 'TLSv1.1', 'TLSv1.2', 'TLSv1.3'] },
+
+    // Reload certificates when key / cert / CA files change (polled every tlsWatchInterval ms)
+    'tlsWatch':                 { 'env': 'UNNODE_TLS_WATCH',                 'type': 'boolean', 'default': false },
+    'tlsWatchInterval':         { 'env': 'UNNODE_TLS_WATCH_INTERVAL',        'type': 'integer', 'min': 1000, 'default': 10000 },
+
+    // Answer ACME HTTP-01 challenges and use certificates issued by master
+    'acme':                     { 'env': 'UNNODE_ACME',                      'type': 'boolean', 'default': false },
+    'acmeDir':                  { 'env': 'UNNODE_ACME_DIR',                  'type': 'string', 'default': 'acme' },
+
+    // Built-in health, readiness and cluster status routes, answered for every vhost
+    'healthRoutes':             { 'env': 'UNNODE_HEALTH_ROUTES',             'type': 'boolean', 'default': false },
+    'healthPath':               { 'env': 'UNNODE_HEALTH_PATH',               'type': 'urlPath', 'default': '/healthz' },
+    'readyPath':                { 'env': 'UNNODE_READY_PATH',                'type': 'urlPath', 'default': '/readyz' },
+    'clusterStatusPath':        { 'env': 'UNNODE_CLUSTER_STATUS_PATH',       'type': 'urlPath', 'default': '/cluster-status' },
+
+    // Time to keep serving with readiness failing before connections are
+    // closed on shutdown, so load balancers can stop routing to the worker.
+    // Reported to the master, which waits this much longer before SIGKILL.
+    'shutdownDrainDelay':       { 'env': 'UNNODE_SHUTDOWN_DRAIN_DELAY',      'type': 'integer', 'min': 0, 'default': 0 }
+}
+
+
+/*
+ * Resolve options against schema: option value, then env var, then default.
+ * Unset options without a default resolve to null. check(resolved, errors)
+ * can add errors for combinations of options, invalid options are missing
+ * from resolved at that point. Throws an UnnodeValidationError listing
+ * every invalid value.
+ */
+function resolveOptions(schema, options = {}, label = 'Unnode.js options', check = null) {
+    const errors    = []
+    const resolved  = {}
+
+    if(!utils.isObject(options)) {
+        throw new UnnodeValidationError(`Invalid ${label}`, ['options must be an object'])
+    }
+
+    Object.keys(options).forEach(key => {
+        if(!Object.prototype.hasOwnProperty.call(schema, key)) {
+            errors.push(`Unknown option "${key}"`)
+        }
+    })
+
+    Object.entries(schema).forEach(([key, entry]) => {
+        let value   = options[key]
+        let source  = `option "${key}"`
+
+        if(value === undefined) {
+            const envName = [].concat(entry.env || []).find(name => process.env[name] !== undefined && process.env[name] !== '')
+
+            if(envName === undefined) {
+                resolved[key] = entry.default !== undefined ? entry.default : null
+                return
+            }
+
+            value   = parseEnvValue(entry, process.env[envName])
+            source  = `${envName}="${process.env[envName]}"`
+        }
+
+        const error = checkValue(entry, value)
+
+        if(error !== null) {
+            [].concat(error).forEach(message => errors.push(`${source}: ${message}`))
+        } else {
+            resolved[key] = value
+        }
+    })
+
+    if(typeof check === 'function') {
+        check(resolved, errors)
+    }
+
+    if(errors.length > 0) {
+        throw new UnnodeValidationError(`Invalid ${label}`, errors)
+    }
+
+    return resolved
+}
+
+
+function parseEnvValue(entry, value) {
+    switch(entry.type) {
+        case 'integer':
+        case 'port':
+            return /^-?\d+$/.test(value.trim()) ? parseInt(value) : value
+        case 'boolean':
+            if(['1', 'true', 'yes'].includes(value.toLowerCase())) return true
+            if(['0', 'false', 'no'].includes(value.toLowerCase())) return false
+            return value
+        case 'trustedProxies':
+            return /^\d+$/.test(value.trim()) ? parseInt(value) : value.split(',').map(item => item.trim()).filter(item => item.length > 0)
+        case 'listeners':
+            try {
+                return JSON.parse(value)
+            } catch(_) {
+                return value
+            }
+        default:
+            return value
+    }
+}
+
+
+// Returns an error message (or a list of them), or null if value is valid
+function checkValue(entry, value) {
+    switch(entry.type) {
+        case 'integer':
+            if(!Number.isInteger(value)) {
+                return 'must be an integer'
+            }
+            if(entry.min !== undefined && value < entry.min) {
+                return `must be >= ${entry.min}`
+            }
+            if(entry.max !== undefined && value > entry.max) {
+                return `must be <= ${entry.max}`
+            }
+            return null
+
+        case 'port':
+            return Number.isInteger(value) && value > 0 && value <= 65535 ? null : 'must be a port number (1-65535)'
+
+        case 'boolean':
+            return typeof value === 'boolean' ? null : 'must be a boolean'
+
+        case 'string':
+            return typeof value === 'string' && value.length > 0 ? null : 'must be a non-empty string'
+
+        case 'enum':
+            return entry.values.includes(value) ? null : `must be one of: ${entry.values.join(', ')}`
+
+        case 'urlPath':
+            return typeof value === 'string' && value.startsWith('/') ? null : 'must be a path starting with "/"'
+
+        case 'timezone':
+            return typeof value === 'string' && moment.tz.zone(value) !== null ? null : 'must be a valid IANA timezone name'
+
+        case 'serverConfig':
+            return (typeof value === 'string' && value.length > 0) || Array.isArray(value)
+                ? null
+                : 'must be a config file path or a server config array'
+
+        case 'listeners':
+            return checkListeners(value)
+
+        case 'trustedProxies':
+            return checkTrustedProxies(value)
+
+        default:
+            return `unknown schema type "${entry.type}"`
+    }
+}
+
+
+function checkTrustedProxies(value) {
+    if(Number.isInteger(value) && value >= 0) {
+        return null
+    }
+
+    if(!Array.isArray(value)) {
+        return 'must be a hop count or a list of proxy addresses and CIDRs'
+    }
+
+    const errors = value
+        .filter(entry => !isValidProxyEntry(entry))
+        .map(entry => `"${entry}" is not an IP address, CIDR or one of loopback, linklocal, uniquelocal`)
+
+    return errors.length > 0 ? errors : null
+}
+
+
+function checkListeners(listeners) {
+    if(!Array.isArray(listeners) || listeners.length === 0) {
+        return 'must be a non-empty array of listener definitions'
+    }
+
+    const errors = []
+
+    listeners.forEach((listener, idx) => {
+        const prefix = `listener ${idx}`
+
+        if(!utils.isObject(listener)) {
+            return errors.push(`${prefix} is not an object`)
+        }
+
+        const unknown = Object.keys(listener).filter(key => !['protocol', 'host', 'port', 'path', 'mode', 'ipv6Only', 'http2', 'tls', 'defaultVhost'].includes(key))
+
+        if(unknown.length > 0) {
+            errors.push(`${prefix}: unknown properties ${unknown.join(', ')}`)
+        }
+
+        if(!['http', 'https'].includes(listener.protocol)) {
+            errors.push(`${prefix}: protocol must be "http" or "https"`)
+        }
+
+        if((listener.port === undefined) === (listener.path === undefined)) {
+            errors.push(`${prefix}: needs either port or path`)
+        }
+
+        if(listener.port !== undefined && !(Number.isInteger(listener.port) && listener.port > 0 && listener.port <= 65535)) {
+            errors.push(`${prefix}: port must be a port number (1-65535)`)
+        }
+
+        if(listener.host !== undefined && (typeof listener.host !== 'string' || listener.host.length === 0 || listener.path !== undefined)) {
+            errors.push(`${prefix}: host must be a non-empty string and can't be used with path`)
+        }
+
+        if(listener.path !== undefined && (typeof listener.path !== 'string' || listener.path.length === 0)) {
+            errors.push(`${prefix}: path must be a non-empty string`)
+        }
+
+        if(listener.mode !== undefined && !(Number.isInteger(listener.mode) || /^[0-7]{3,4}$/.test(listener.mode))) {
+            errors.push(`${prefix}: mode must be an integer or an octal string like "660"`)
+        }
+
+        if(listener.http2 !== undefined && (typeof listener.http2 !== 'boolean' || listener.protocol !== 'https')) {
+            errors.push(`${prefix}: http2 must be a boolean and is only allowed for https`)
+        }
+
+        if(listener.defaultVhost !== undefined && (typeof listener.defaultVhost !== 'string' || listener.defaultVhost.length === 0)) {
+            errors.push(`${prefix}: defaultVhost must be a non-empty string`)
+        }
+
+        if(listener.tls !== undefined) {
+            if(listener.protocol !== 'https' || !utils.isObject(listener.tls)) {
+                errors.push(`${prefix}: tls must be an object and is only allowed for https`)
+            } else {
+                Object.entries(listener.tls).forEach(([key, value]) => {
+                    if(!['key', 'cert', 'ca', 'minVersion'].includes(key) || typeof value !== 'string') {
+                        errors.push(`${prefix}: tls.${key} is not a supported string option (key, cert, ca, minVersion)`)
+                    }
+                })
+            }
+        }
+    })
+
+    return errors.length > 0 ? errors : null
+}
+
+
+export { UnnodeValidationError, loggerOptionsSchema, masterOptionsSchema, workerOptionsSchema, resolveOptions }
@@ -0,0 +1,282 @@
+//
+//
+// Unnode.js - A Node.js back end framework
+//
+// https://unnodejs.org
+//
+// Copyright (c) 2020, 2021 RicForge - https://ricforge.com
+//
+// RicForge is a Nurminen Development Oy Ltd organization - https://nurminen.dev
+//
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to
+// deal in the Software without restriction, including without limitation the
+// rights to use, copy, modify, merge, publish, distribute, sublicense, and/or
+// sell copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+// FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+// DEALINGS IN THE SOFTWARE.
+//
+//
+
+
+
+'use strict'
+
+import net                          from 'net'
+
+
+/*
+
+Trusted proxy handling. One setting decides which forwarding information is
+believed: a hop count (trust the n nearest proxies) or a list of proxy
+addresses and CIDRs, with the keywords loopback, linklocal and uniquelocal
+as in Express. Forwarding information comes from one header family,
+chosen by the forwardedHeader option: X-Forwarded-For / -Proto / -Host
+(default) or the RFC 7239 Forwarded header. The other family is ignored,
+as a proxy that only appends to one of them passes whatever the client
+sent in the other through unchanged.
+
+The chain is walked from the nearest hop towards the client, and a value
+is only taken from a hop whose sender is trusted, so a client can't spoof
+its address, protocol or host by sending the headers itself.
+
+*/
+
+
+const PROXY_KEYWORDS = {
+    'loopback':     ['127.0.0.0/8', '::1/128'],
+    'linklocal':    ['169.254.0.0/16', 'fe80::/10'],
+    'uniquelocal':  ['10.0.0.0/8', '172.16.0.0/12', '192.168.0.0/16', 'fc00::/7']
+}
+
+
+function parseSubnet(entry) {
+    const [address, prefix] = entry.split('/')
+    const family = net.isIP(address)
+
+    if(family === 0) {
+        return null
+    }
+
+    const maxPrefix = family === 4 ? 32 : 128
+    const prefixLength = prefix === undefined ? maxPrefix : Number(prefix)
+
+    if(!Number.isInteger(prefixLength) || prefixLength < 0 || prefixLength > maxPrefix || (prefix !== undefined && !/^\d+$/.test(prefix))) {
+        return null
+    }
+
+    return { 'address': address, 'prefix': prefixLength, 'type': family === 4 ? 'ipv4' : 'ipv6' }
+}
+
+
+// Proxy list entry: a keyword, an IP address or a CIDR
+function isValidProxyEntry(entry) {
+    return typeof entry === 'string' && (PROXY_KEYWORDS[entry] !== undefined || parseSubnet(entry) !== null)
+}
+
+
+// IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) are checked as IPv4
+function normalizeAddress(address) {
+    if(typeof address !== 'string') {
+        return null
+    }
+
+    const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i)
+
+    return mapped !== null ? mapped[1] : address
+}
+
+
+/*
+ * Compile trustedProxies (null, hop count or address list) into
+ * trust(address, hop), hop 0 being the peer connected to us
+ */
+function compileProxyTrust(setting) {
+    if(setting === null || setting === undefined || setting === 0) {
+        return () => false
+    }
+
+    if(Number.isInteger(setting)) {
+        return (address, hop) => hop < setting
+    }
+
+    const blockList = new net.BlockList()
+
+    setting.flatMap(entry => PROXY_KEYWORDS[entry] || [entry]).forEach((entry) => {
+        const subnet = parseSubnet(entry)
+        blockList.addSubnet(subnet.address, subnet.prefix, subnet.type)
+    })
+
+    return (address) => {
+        const normalized = normalizeAddress(address)
+        const family = net.isIP(normalized)
+
+        return family !== 0 && blockList.check(normalized, family === 4 ? 'ipv4' : 'ipv6')
+    }
+}
+
+
+function unquote(value) {
+    return value.startsWith('"') && value.endsWith('"') ? value.slice(1, -1).replace(/\\(.)/g, '$1') : value
+}
+
+
+// Node address from a Forwarded for= value: strips brackets and port, null if obfuscated or unknown
+function forwardedNode(value) {
+    const bracketed = value.match(/^\[([^\]]+)\](?::\d+)?$/)
+
+    if(bracketed !== null) {
+        return net.isIPv6(bracketed[1]) ? bracketed[1] : null
+    }
+
+    const address = net.isIPv6(value) ? value : value.replace(/:\d+$/, '')
+
+    return net.isIP(address) !== 0 ? address : null
+}
+
+
+// RFC 7239 Forwarded header into [{ for, proto, host, by }], client first
+function parseForwarded(header) {
+    const elements = []
+
+    for(const element of header.split(',')) {
+        const pairs = {}
+
+        for(const pair of element.split(';')) {
+            const separator = pair.indexOf('=')
+
+            if(separator === -1) {
+                continue
+            }
+
+            const name  = pair.slice(0, separator).trim().toLowerCase()
+            const value = unquote(pair.slice(separator + 1).trim())
+
+            if(['for', 'proto', 'host', 'by'].includes(name)) {
+                pairs[name] = value
+            }
+        }
+
+        elements.push(pairs)
+    }
+
+    return elements
+}
+
+
+function headerList(value) {
+    return typeof value === 'string' ? value.split(',').map(item => item.trim()).filter(item => item.length > 0) : []
+}
+
+
+/*
+ * Hops as [{ for, proto, host }], client first, from the Forwarded header
+ * when source is 'forwarded', else from X-Forwarded-*. X-Forwarded-Proto
+ * and -Host often hold fewer values than X-Forwarded-For, they're aligned
+ * from the nearest proxy.
+ */
+function forwardedHops(headers, source = 'x-forwarded') {
+    if(source === 'forwarded') {
+        return typeof headers['forwarded'] === 'string' ? parseForwarded(headers['forwarded']) : []
+    }
+
+    const addresses = headerList(headers['x-forwarded-for'])
+    const protos    = headerList(headers['x-forwarded-proto'])
+    const hosts     = headerList(headers['x-forwarded-host'])
+
+    const count = Math.max(addresses.length, protos.length, hosts.length)
+
+    return Array.from({ 'length': count }, (_, idx) => ({
+        'for':      addresses[idx - (count - addresses.length)],
+        'proto':    protos[idx - (count - protos.length)],
+        'host':     hosts[idx - (count - hosts.length)]
+    }))
+}
+
+
+/*
+ * Client address, protocol and host for a request: { ip, ips, protocol, host }.
+ * ips lists the trusted chain, client first, as Express does. source is
+ * 'x-forwarded' or 'forwarded', see forwardedHops().
+ */
+function resolveForwarded(req, trust, source = 'x-forwarded') {
+    const socket = req.socket || req.connection
+
+    const result = {
+        'ip':       normalizeAddress(socket.remoteAddress),
+        'ips':      [],
+        'protocol': socket.encrypted ? 'https' : 'http',
+        'host':     req.headers['host'] || req.headers[':authority'] || ''
+    }
+
+    const hops = forwardedHops(req.headers, source).reverse()
+
+    let address = socket.remoteAddress
+
+    for(let hop = 0; hop < hops.length && trust(address, hop); hop++) {
+        const { 'for': forValue, proto, host } = hops[hop]
+
+        if(proto !== undefined && /^https?$/i.test(proto)) {
+            result.protocol = proto.toLowerCase()
+        }
+
+        if(host !== undefined) {
+            result.host = host
+        }
+
+        const node = forValue !== undefined ? forwardedNode(forValue) : null
+
+        if(node === null) {
+            break
+        }
+
+        result.ip = node
+        result.ips.unshift(node)
+        address = node
+    }
+
+    return result
+}
+
+
+/*
+ * Sets req.ip, req.ips, req.protocol and req.hostname from the trusted
+ * forwarding chain (shadowing Express' getters, so req.secure follows) and
+ * keeps the whole result in req.forwarded.
+ */
+function forwardedMiddleware(setting, source = 'x-forwarded') {
+    const trust = compileProxyTrust(setting)
+
+    return (req, res, next) => {
+        const forwarded = resolveForwarded(req, trust, source)
+
+        // Host without port, IPv6 literals keep their brackets
+        const hostname = forwarded.host.startsWith('[')
+            ? forwarded.host.slice(0, forwarded.host.indexOf(']') + 1)
+            : forwarded.host.split(':')[0]
+
+        Object.defineProperties(req, {
+            'forwarded':    { 'value': forwarded, 'configurable': true, 'writable': true },
+            'ip':           { 'value': forwarded.ip, 'configurable': true, 'writable': true },
+            'ips':          { 'value': forwarded.ips, 'configurable': true, 'writable': true },
+            'protocol':     { 'value': forwarded.protocol, 'configurable': true, 'writable': true },
+            'hostname':     { 'value': hostname || undefined, 'configurable': true, 'writable': true }
+        })
+
+        next()
+    }
+}
+
+
+export { isValidProxyEntry, compileProxyTrust, parseForwarded, resolveForwarded, forwardedMiddleware }
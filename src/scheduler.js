@@ -0,0 +1,390 @@
+//
+//
+// Unnode.js - A Node.js back end framework
+//
+// https://unnodejs.org
+//
+// Copyright (c) 2020, 2021 RicForge - https://ricforge.com
+//
+// RicForge is a Nurminen Development Oy Ltd organization - https://nurminen.dev
+//
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to
+// deal in the Software without restriction, including without limitation the
+// rights to use, copy, modify, merge, publish, distribute, sublicense, and/or
+// sell copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+// FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+// DEALINGS IN THE SOFTWARE.
+//
+//
+
+
+'use strict'
+
+import moment               from 'moment-timezone'
+
+import { masterLogger }     from './logger.js'
+
+
+/*
+
+Cluster scheduler
+
+Runs jobs on cron expressions or fixed intervals in the master process.
+Every job runs exactly once per tick across the cluster; the master
+decides whether the job runs in the master itself or in one elected
+worker (see UnnodeMaster.schedule() and UnnodeWorker.schedule()).
+
+A job that is still running when its next tick comes is skipped. Jobs
+that exceed their timeout are aborted through the AbortSignal that is
+passed to the job handler.
+
+*/
+
+const cronMacros = {
+    '@yearly':      '0 0 1 1 *',
+    '@annually':    '0 0 1 1 *',
+    '@monthly':     '0 0 1 * *',
+    '@weekly':      '0 0 * * 0',
+    '@daily':       '0 0 * * *',
+    '@midnight':    '0 0 * * *',
+    '@hourly':      '0 * * * *'
+}
+
+const cronFields = [
+    { name: 'minute',   min: 0, max: 59 },
+    { name: 'hour',     min: 0, max: 23 },
+    { name: 'day',      min: 1, max: 31 },
+    { name: 'month',    min: 1, max: 12 },
+    { name: 'weekday',  min: 0, max: 7 }
+]
+
+const defaultJobTimeout = 10 * 60 * 1000
+
+// setTimeout() can not wait longer than this
+const maxTimerDelay = 2147483647
+
+
+/*
+ * Parse a standard 5-field cron expression (minute hour day month weekday)
+ * supporting *, lists, ranges and steps, or one of the @-macros
+ */
+function parseCron(expression) {
+    if(typeof expression !== 'string') {
+        throw new Error('Cron expression must be a string')
+    }
+
+    const fields = (cronMacros[expression.trim()] || expression).trim().split(/\s+/)
+
+    if(fields.length !== cronFields.length) {
+        throw new Error(`Invalid cron expression "${expression}": expected ${cronFields.length} fields`)
+    }
+
+    const cron = {}
+
+    cronFields.forEach((field, idx) => {
+        cron[field.name] = parseCronField(expression, fields[idx], field)
+    })
+
+    // Weekday 7 is Sunday, same as 0
+    if(cron.weekday.has(7)) {
+        cron.weekday.add(0)
+    }
+
+    // When both day and weekday are restricted, either one matching is enough
+    cron.dayRestricted      = fields[2] !== '*'
+    cron.weekdayRestricted  = fields[4] !== '*'
+
+    return cron
+}
+
+
+function parseCronField(expression, fieldStr, field) {
+    const values = new Set()
+
+    for(const part of fieldStr.split(',')) {
+        const [rangeStr, stepStr] = part.split('/')
+
+        let rangeMin = field.min
+        let rangeMax = field.max
+        let step     = 1
+
+        if(stepStr !== undefined) {
+            step = Number(stepStr)
+            if(!Number.isInteger(step) || step < 1) {
+                throw new Error(`Invalid cron expression "${expression}": bad step in ${field.name} field`)
+            }
+        }
+
+        if(rangeStr !== '*') {
+            const bounds = rangeStr.split('-').map(Number)
+
+            rangeMin = bounds[0]
+            rangeMax = bounds.length === 2 ? bounds[1] : (stepStr !== undefined ? field.max : bounds[0])
+
+            if(bounds.length > 2 || !Number.isInteger(rangeMin) || !Number.isInteger(rangeMax)
+                || rangeMin < field.min || rangeMax > field.max || rangeMin > rangeMax) {
+                throw new Error(`Invalid cron expression "${expression}": bad ${field.name} field "${fieldStr}"`)
+            }
+        }
+
+        for(let value = rangeMin; value <= rangeMax; value += step) {
+            values.add(value)
+        }
+    }
+
+    return values
+}
+
+
+function cronDayMatches(cron, time) {
+    const dayMatch      = cron.day.has(time.date())
+    const weekdayMatch  = cron.weekday.has(time.day())
+
+    if(cron.dayRestricted && cron.weekdayRestricted) {
+        return dayMatch || weekdayMatch
+    }
+
+    return dayMatch && weekdayMatch
+}
+
+
+// Next time after 'from' (a moment) that matches the parsed cron expression
+function nextCronTime(cron, from) {
+    const time = from.clone().startOf('minute').add(1, 'minute')
+
+    // Roughly five years worth of month/day/hour/minute steps
+    for(let i = 0; i < 100000; i++) {
+        if(!cron.month.has(time.month() + 1)) {
+            time.add(1, 'month').startOf('month')
+        } else if(!cronDayMatches(cron, time)) {
+            time.add(1, 'day').startOf('day')
+        } else if(!cron.hour.has(time.hour())) {
+            time.add(1, 'hour').startOf('hour')
+        } else if(!cron.minute.has(time.minute())) {
+            time.add(1, 'minute')
+        } else {
+            return time
+        }
+    }
+
+    return null
+}
+
+
+/*
+ * Validate job options, returns normalized options:
+ * { cron: string|null, interval: ms|null, timeout: ms }
+ */
+function normalizeJobOptions(name, options) {
+    if(typeof name !== 'string' || name.length === 0) {
+        throw new Error('Job name must be a non-empty string')
+    }
+
+    const cron      = options.cron !== undefined ? options.cron : null
+    const interval  = options.interval !== undefined ? options.interval : null
+    const timeout   = options.timeout !== undefined ? options.timeout : defaultJobTimeout
+
+    if((cron === null) === (interval === null)) {
+        throw new Error(`Job "${name}": exactly one of "cron" or "interval" must be set`)
+    }
+
+    if(cron !== null) {
+        parseCron(cron)
+    }
+
+    if(interval !== null && (!Number.isInteger(interval) || interval < 1)) {
+        throw new Error(`Job "${name}": "interval" must be a positive number of milliseconds`)
+    }
+
+    if(!Number.isInteger(timeout) || timeout < 1) {
+        throw new Error(`Job "${name}": "timeout" must be a positive number of milliseconds`)
+    }
+
+    return { cron: cron, interval: interval, timeout: timeout }
+}
+
+
+class UnnodeScheduler {
+    _jobs       = new Map()
+    _stopped    = false
+    _timezone   = null
+
+
+    // Cron expressions are evaluated in this timezone, null = server local time
+    setTimezone(timezone) {
+        this._timezone = timezone || null
+    }
+
+
+    /*
+     * runner(signal) does the actual work and returns a Promise, it should
+     * stop when the AbortSignal fires
+     */
+    addJob(name, options, runner) {
+        if(this._jobs.has(name)) {
+            throw new Error(`Job "${name}" is already scheduled`)
+        }
+
+        const jobOptions = normalizeJobOptions(name, options)
+
+        const job = {
+            name:       name,
+            cron:       jobOptions.cron !== null ? parseCron(jobOptions.cron) : null,
+            interval:   jobOptions.interval,
+            timeout:    jobOptions.timeout,
+            runner:     runner,
+            timer:      null,
+            running:    false,
+            controller: null
+        }
+
+        this._jobs.set(name, job)
+
+        this._scheduleNext(job)
+
+        masterLogger.log('debug', `Scheduled job "${name}" (${jobOptions.cron !== null ? `cron: ${jobOptions.cron}` : `interval: ${jobOptions.interval} ms`})`)
+
+        return true
+    }
+
+
+    hasJob(name) {
+        return this._jobs.has(name)
+    }
+
+
+    removeJob(name) {
+        const job = this._jobs.get(name)
+
+        if(!job) {
+            return false
+        }
+
+        clearTimeout(job.timer)
+
+        if(job.controller !== null) {
+            job.controller.abort()
+        }
+
+        this._jobs.delete(name)
+
+        return true
+    }
+
+
+    // Cancel all timers and abort running jobs
+    stop() {
+        this._stopped = true
+
+        for(const name of [...this._jobs.keys()]) {
+            const job = this._jobs.get(name)
+
+            if(job.running) {
+                masterLogger.log('info', `Cancelling running job "${name}"`)
+            }
+
+            this.removeJob(name)
+        }
+    }
+
+
+    getJobs() {
+        return [...this._jobs.values()].map((job) => {
+            return { name: job.name, running: job.running }
+        })
+    }
+
+
+    _scheduleNext(job) {
+        if(this._stopped) {
+            return
+        }
+
+        let runAt = Date.now() + job.interval
+
+        if(job.cron !== null) {
+            const now           = this._timezone !== null ? moment().tz(this._timezone) : moment()
+            const nextTime      = nextCronTime(job.cron, now)
+
+            if(nextTime === null) {
+                masterLogger.log('warning', `Job "${job.name}" cron expression never matches, job will not run`)
+                return
+            }
+
+            runAt = nextTime.valueOf()
+        }
+
+        const delay = runAt - Date.now()
+
+        if(delay > maxTimerDelay) {
+            // Too far in the future for one timer, check again later
+            job.timer = setTimeout(() => this._scheduleNext(job), maxTimerDelay)
+            return
+        }
+
+        job.timer = setTimeout(() => {
+            this._scheduleNext(job)
+            this._runJob(job)
+        }, Math.max(delay, 0))
+    }
+
+
+    async _runJob(job) {
+        if(job.running) {
+            masterLogger.log('warning', `Job "${job.name}" is still running, skipping this run`)
+            return
+        }
+
+        job.running     = true
+        job.controller  = new AbortController()
+
+        const controller    = job.controller
+        const startTime     = Date.now()
+
+        masterLogger.log('debug', `Job "${job.name}" started`)
+
+        let timeoutTimer    = null
+        let timedOut        = false
+
+        const timeout = new Promise((resolve, reject) => {
+            timeoutTimer = setTimeout(() => {
+                timedOut = true
+                controller.abort()
+                reject()
+            }, job.timeout)
+        })
+
+        try {
+            await Promise.race([ job.runner(controller.signal), timeout ])
+            masterLogger.log('debug', `Job "${job.name}" finished in ${Date.now() - startTime} ms`)
+        } catch(error) {
+            if(timedOut) {
+                masterLogger.log('error', `Job "${job.name}" timed out after ${job.timeout} ms`)
+            } else if(controller.signal.aborted && this._jobs.get(job.name) !== job) {
+                masterLogger.log('info', `Job "${job.name}" cancelled`)
+            } else {
+                masterLogger.safeError('error', `Job "${job.name}" failed`, error)
+            }
+        } finally {
+            clearTimeout(timeoutTimer)
+            job.running     = false
+            job.controller  = null
+        }
+    }
+
+}
+
+
+export { UnnodeScheduler, parseCron, nextCronTime, normalizeJobOptions }
@@ -0,0 +1,477 @@
+//
+//
+// Unnode.js - A Node.js back end framework
+//
+// https://unnodejs.org
+//
+// Copyright (c) 2020, 2021 RicForge - https://ricforge.com
+//
+// RicForge is a Nurminen Development Oy Ltd organization - https://nurminen.dev
+//
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to
+// deal in the Software without restriction, including without limitation the
+// rights to use, copy, modify, merge, publish, distribute, sublicense, and/or
+// sell copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+// FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+// DEALINGS IN THE SOFTWARE.
+//
+//
+
+
+
+'use strict'
+
+import fs                           from 'fs'
+import path                         from 'path'
+import http                         from 'http'
+import { pathToFileURL }            from 'url'
+import YAML                         from 'yaml'
+
+import * as utils                   from './utils.js'
+import { compileHostPattern }       from './host-matcher.js'
+
+
+/*
+
+Server config loading. The config is an array of vhost entries, either
+given as is or read from a file:
+
+  unnode-server-config.js / .mjs   ES module, default export
+  unnode-server-config.json
+  unnode-server-config.yaml / .yml
+
+An environment overlay next to the base file, e.g.
+unnode-server-config.production.yaml for configEnv "production", is merged
+over the base: entries with the same vhost list and basePath are deep
+merged (arrays such as routes are replaced), other entries are appended.
+Base and overlay can use different formats.
+
+Strings in JSON and YAML files can use ${VAR} and ${VAR:-default} to
+interpolate environment variables, $${ is a literal ${.
+
+validateServerConfig() checks the result against the schemas below and
+reports every problem with its index path, e.g. [0].routes[2].method.
+Unknown properties are only warned about, with a suggestion when they look
+like a typo of a known one.
+
+*/
+
+
+const CONFIG_EXTENSIONS = ['.js', '.mjs', '.json', '.yaml', '.yml']
+
+
+async function readConfigFile(file) {
+    const extension = path.extname(file).toLowerCase()
+
+    if(extension === '.js' || extension === '.mjs') {
+        return (await import(pathToFileURL(file).href)).default
+    }
+
+    const text = fs.readFileSync(file, 'utf8')
+
+    try {
+        const data = extension === '.json' ? JSON.parse(text) : YAML.parse(text)
+        return interpolateEnv(data, file)
+    } catch(error) {
+        throw new Error(`Unable to parse Unnode.js server config file ${file}: ${error.message}`)
+    }
+}
+
+
+// Replace ${VAR} and ${VAR:-default} in every string, reporting all unset variables at once
+function interpolateEnv(data, file) {
+    const missing = []
+
+    const interpolate = (value, location) => {
+        if(typeof value === 'string') {
+            return value.replace(/\$(\$?)\{([A-Za-z_][A-Za-z0-9_]*)(?::-([^}]*))?\}/g, (match, escaped, name, fallback) => {
+                if(escaped === '$') {
+                    return match.slice(1)
+                }
+
+                const envValue = process.env[name]
+
+                if(envValue !== undefined && envValue !== '') {
+                    return envValue
+                }
+
+                if(fallback !== undefined) {
+                    return fallback
+                }
+
+                missing.push(`${name} (at ${location || 'top level'})`)
+                return match
+            })
+        }
+
+        if(Array.isArray(value)) {
+            return value.map((item, idx) => interpolate(item, `${location}[${idx}]`))
+        }
+
+        if(utils.isObject(value)) {
+            return Object.fromEntries(Object.entries(value).map(([key, item]) => {
+                return [key, interpolate(item, location ? `${location}.${key}` : key)]
+            }))
+        }
+
+        return value
+    }
+
+    const result = interpolate(data, '')
+
+    if(missing.length > 0) {
+        throw new Error(`unset environment variables: ${missing.join(', ')}`)
+    }
+
+    return result
+}
+
+
+function entryKey(entry) {
+    if(!utils.isObject(entry) || !Array.isArray(entry.vhost)) {
+        return null
+    }
+
+    const basePath = typeof entry.basePath === 'string' ? entry.basePath.replace(/(.)\/+$/, '$1') : '/'
+
+    return JSON.stringify([entry.vhost.map(String).sort(), basePath])
+}
+
+
+function deepMerge(base, overlay) {
+    if(!utils.isObject(base) || !utils.isObject(overlay)) {
+        return overlay
+    }
+
+    const merged = { ...base }
+
+    Object.entries(overlay).forEach(([key, value]) => {
+        merged[key] = key in base ? deepMerge(base[key], value) : value
+    })
+
+    return merged
+}
+
+
+function mergeServerConfig(base, overlay) {
+    const merged = [...base]
+
+    overlay.forEach((overlayEntry) => {
+        const key = entryKey(overlayEntry)
+        const idx = key !== null ? merged.findIndex(entry => entryKey(entry) === key) : -1
+
+        if(idx === -1) {
+            merged.push(overlayEntry)
+        } else {
+            merged[idx] = deepMerge(merged[idx], overlayEntry)
+        }
+    })
+
+    return merged
+}
+
+
+function findFile(basePath) {
+    return CONFIG_EXTENSIONS.map(extension => basePath + extension).find(file => fs.existsSync(file))
+}
+
+
+/*
+ * configFileOrArray: server config array, or file path (relative to
+ * serverDir). Defaults to config/unnode-server-config.<ext> in serverDir.
+ * Returns { serverConfig, files } with the files that were read.
+ */
+async function loadServerConfig(serverDir, configFileOrArray = null, environment = null) {
+    if(Array.isArray(configFileOrArray)) {
+        return { 'serverConfig': configFileOrArray, 'files': [] }
+    }
+
+    let file = null
+
+    if(typeof configFileOrArray === 'string') {
+        file = path.resolve(serverDir, configFileOrArray)
+    } else {
+        const defaultBase = path.join(serverDir, 'config', 'unnode-server-config')
+
+        file = findFile(defaultBase)
+
+        if(file === undefined) {
+            throw new Error(`Unnode.js server config not found, tried ${CONFIG_EXTENSIONS.map(extension => defaultBase + extension).join(', ')}`)
+        }
+    }
+
+    let serverConfig = await readConfigFile(file)
+
+    const files = [file]
+
+    if(environment) {
+        const overlayFile = findFile(path.join(path.dirname(file), `${path.basename(file, path.extname(file))}.${environment}`))
+
+        if(overlayFile !== undefined) {
+            const overlay = await readConfigFile(overlayFile)
+
+            if(!Array.isArray(serverConfig) || !Array.isArray(overlay)) {
+                throw new Error(`Unnode.js server config ${file} and overlay ${overlayFile} must both be arrays`)
+            }
+
+            serverConfig = mergeServerConfig(serverConfig, overlay)
+            files.push(overlayFile)
+        }
+    }
+
+    return { 'serverConfig': serverConfig, 'files': files }
+}
+
+
+
+
+
+/*
+
+Schemas: property name to { required, check, properties }. check(value)
+returns an error message, a list of them, or null. properties is a nested
+schema applied when the value is an object.
+
+*/
+
+
+const nonEmptyString    = value => typeof value === 'string' && value.length > 0 ? null : 'must be a non-empty string'
+const plainObject       = value => utils.isObject(value) ? null : 'must be an object'
+const booleanOrObject   = value => typeof value === 'boolean' || utils.isObject(value) ? null : 'must be a boolean or an object'
+const booleanValue      = value => typeof value === 'boolean' ? null : 'must be a boolean'
+const readableFile      = value => utils.isFileReadableSync(value) ? null : `file ${value} is not readable`
+
+
+function checkMethod(value) {
+    if(typeof value !== 'string' || !(http.METHODS.includes(value.toUpperCase()) || value.toUpperCase() === 'ALL')) {
+        return 'must be an HTTP method such as GET or POST, or ALL'
+    }
+
+    return null
+}
+
+
+function checkStaticDir(value) {
+    if(typeof value !== 'string' || value.length === 0) {
+        return 'must be a directory path'
+    }
+
+    // express.static() resolves relative paths against the working directory
+    const dir = path.resolve(value)
+
+    try {
+        return fs.statSync(dir).isDirectory() ? null : `${dir} is not a directory`
+    } catch(error) {
+        return `directory ${dir} does not exist`
+    }
+}
+
+
+const secureContextSchema = {
+    'key':              { 'required': true, 'check': readableFile },
+    'cert':             { 'required': true, 'check': readableFile },
+    'ca':               { 'check': readableFile }
+}
+
+
+const forceHttpsSchema = {
+    'port':             { 'check': value => Number.isInteger(value) && value > 0 && value <= 65535 ? null : 'must be a port number (1-65535)' },
+    'status':           { 'check': value => [301, 302, 303, 307, 308].includes(value) ? null : 'must be a redirect status (301, 302, 303, 307 or 308)' }
+}
+
+
+const hstsSchema = {
+    'maxAge':           { 'check': value => Number.isInteger(value) && value >= 0 ? null : 'must be a number of seconds' },
+    'includeSubDomains': { 'check': booleanValue },
+    'preload':          { 'check': booleanValue }
+}
+
+
+const routeSchema = {
+    'method':           { 'check': checkMethod },
+    'path':             { 'required': true, 'check': value => nonEmptyString(value) === null || value instanceof RegExp ? null : 'must be a non-empty string or a RegExp' },
+    'controller':       { 'check': value => typeof value === 'string' && /^[^#]+#[^#]+$/.test(value) ? null : 'must be "module#handler", e.g. "main#index"' },
+    'static':           { 'check': checkStaticDir },
+    'customParameter':  { 'check': () => null },
+    'cacheControl':     { 'check': plainObject }
+}
+
+
+const entrySchema = {
+    'vhost':            { 'required': true, 'check': value => Array.isArray(value) && value.length > 0 ? null : 'must be a non-empty array' },
+    'priority':         { 'check': value => Number.isInteger(value) ? null : 'must be an integer' },
+    'basePath':         { 'check': value => typeof value === 'string' && /^\/[^?#]*$/.test(value) ? null : 'must be a path starting with "/"' },
+    'routes':           { 'required': true, 'check': value => Array.isArray(value) ? null : 'must be an array' },
+    'secureContext':    { 'check': plainObject, 'properties': secureContextSchema },
+    'helmetOptions':    { 'check': plainObject },
+    'viewEngine':       { 'check': nonEmptyString },
+    'viewsPath':        { 'check': nonEmptyString },
+    'robotsTxt':        { 'check': value => typeof value === 'string' ? null : 'must be a string' },
+    'serveFavicon':     { 'check': value => Buffer.isBuffer(value) ? null : readableFile(value) },
+    'forceHttps':       { 'check': booleanOrObject, 'properties': forceHttpsSchema },
+    'hsts':             { 'check': booleanOrObject, 'properties': hstsSchema },
+    'canonicalHost':    { 'check': nonEmptyString }
+}
+
+
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, idx) => idx)
+
+    for(let i = 1; i <= a.length; i++) {
+        const current = [i]
+
+        for(let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1))
+        }
+
+        previous = current
+    }
+
+    return previous[b.length]
+}
+
+
+function unknownPropertyWarning(key, schema) {
+    const lowerKey  = key.toLowerCase()
+    const known     = Object.keys(schema)
+
+    const suggestion = known.find(name => name.toLowerCase() === lowerKey)
+        || known.find(name => editDistance(name.toLowerCase(), lowerKey) <= Math.min(2, Math.floor(name.length / 3)))
+
+    return `unknown property "${key}"` + (suggestion !== undefined ? `, did you mean "${suggestion}"?` : '')
+}
+
+
+function validateObject(object, schema, location, errors, warnings) {
+    Object.keys(object).forEach(key => {
+        if(!Object.prototype.hasOwnProperty.call(schema, key)) {
+            warnings.push(`${location}: ${unknownPropertyWarning(key, schema)}`)
+        }
+    })
+
+    Object.entries(schema).forEach(([key, entry]) => {
+        const value = object[key]
+
+        if(value === undefined) {
+            if(entry.required === true) {
+                errors.push(`${location}: missing "${key}" property`)
+            }
+            return
+        }
+
+        const error = entry.check(value)
+
+        if(error !== null) {
+            [].concat(error).forEach(message => errors.push(`${location}.${key}: ${message}`))
+        } else if(entry.properties && utils.isObject(value)) {
+            validateObject(value, entry.properties, `${location}.${key}`, errors, warnings)
+        }
+    })
+}
+
+
+// Controller modules are imported once to check that their handlers exist
+async function checkControllerHandler(serverDir, controller, modules) {
+    const moduleName    = controller.substring(0, controller.indexOf('#'))
+    const handlerName   = controller.substring(controller.indexOf('#') + 1)
+    const moduleFile    = path.join(serverDir, 'controllers', `${moduleName}.js`)
+
+    if(!modules.has(moduleFile)) {
+        modules.set(moduleFile, import(pathToFileURL(moduleFile).href).then(module => [module.default, null], error => [null, error]))
+    }
+
+    const [handlerObject, error] = await modules.get(moduleFile)
+
+    if(error !== null) {
+        return `unable to load controller module ${moduleFile}: ${error.message}`
+    }
+
+    if(!handlerObject || typeof handlerObject[handlerName] !== 'function') {
+        return `handler "${handlerName}" is not a function exported by the default export of ${moduleFile}`
+    }
+
+    return null
+}
+
+
+/*
+ * Validate a server config array. Returns { errors, warnings } with every
+ * problem found, each prefixed with its index path.
+ */
+async function validateServerConfig(serverConfig, serverDir) {
+    const errors    = []
+    const warnings  = []
+    const modules   = new Map()
+
+    if(!Array.isArray(serverConfig)) {
+        errors.push('server config must be an array of vhost entries')
+        return { 'errors': errors, 'warnings': warnings }
+    }
+
+    for(const [idx, entry] of serverConfig.entries()) {
+        if(!utils.isObject(entry)) {
+            errors.push(`[${idx}]: entry is not an object`)
+            continue
+        }
+
+        validateObject(entry, entrySchema, `[${idx}]`, errors, warnings)
+
+        if(Array.isArray(entry.vhost)) {
+            entry.vhost.forEach((vhost, idx2) => {
+                try {
+                    compileHostPattern(vhost)
+                } catch(error) {
+                    errors.push(`[${idx}].vhost[${idx2}]: ${error.message}`)
+                }
+            })
+        }
+
+        if(!Array.isArray(entry.routes)) {
+            continue
+        }
+
+        for(const [idx2, route] of entry.routes.entries()) {
+            const location = `[${idx}].routes[${idx2}]`
+
+            if(!utils.isObject(route)) {
+                errors.push(`${location}: route is not an object`)
+                continue
+            }
+
+            validateObject(route, routeSchema, location, errors, warnings)
+
+            if((route.controller === undefined) === (route.static === undefined)) {
+                errors.push(`${location}: needs exactly one of "controller" or "static"`)
+            } else if(route.controller !== undefined) {
+                if(route.method === undefined) {
+                    errors.push(`${location}: missing "method" property`)
+                }
+
+                if(routeSchema.controller.check(route.controller) === null) {
+                    const error = await checkControllerHandler(serverDir, route.controller, modules)
+
+                    if(error !== null) {
+                        errors.push(`${location}.controller: ${error}`)
+                    }
+                }
+            }
+        }
+    }
+
+    return { 'errors': errors, 'warnings': warnings }
+}
+
+
+export { loadServerConfig, mergeServerConfig, interpolateEnv, validateServerConfig }
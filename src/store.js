@@ -0,0 +1,322 @@
+//
+//
+// Unnode.js - A Node.js back end framework
+//
+// https://unnodejs.org
+//
+// Copyright (c) 2020, 2021 RicForge - https://ricforge.com
+//
+// RicForge is a Nurminen Development Oy Ltd organization - https://nurminen.dev
+//
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to
+// deal in the Software without restriction, including without limitation the
+// rights to use, copy, modify, merge, publish, distribute, sublicense, and/or
+// sell copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+// FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+// DEALINGS IN THE SOFTWARE.
+//
+//
+
+
+'use strict'
+
+import fs                   from 'node:fs'
+import path                 from 'node:path'
+
+import { masterLogger }     from './logger.js'
+import * as utils           from './utils.js'
+
+
+/*
+
+Cluster key/value store
+
+The store lives in the master process. Workers access it asynchronously
+over IPC through UnnodeStoreClient, the master uses UnnodeStore directly.
+
+Values must be JSON serializable. TTLs are in milliseconds.
+
+*/
+class UnnodeStore {
+    _data               = new Map()
+    _dirty              = false
+    _snapshotPath       = null
+    _snapshotTimer      = null
+    _sweepTimer         = null
+
+    // Operations that workers are allowed to run over IPC
+    static operations   = ['get', 'set', 'del', 'incr', 'expire', 'ttl', 'keys']
+
+
+    init(snapshotPath = null, snapshotInterval = 60000) {
+        // Expired keys are removed lazily on access, sweep the rest once a
+        // minute. The timers don't keep the master process alive.
+        this._sweepTimer = setInterval(this._sweep.bind(this), 60000)
+        this._sweepTimer.unref()
+
+        if(snapshotPath !== null) {
+            this._snapshotPath = snapshotPath
+            this._loadSnapshot()
+            this._snapshotTimer = setInterval(this.saveSnapshot.bind(this), snapshotInterval)
+            this._snapshotTimer.unref()
+        }
+    }
+
+
+    close() {
+        clearInterval(this._sweepTimer)
+        clearInterval(this._snapshotTimer)
+
+        this.saveSnapshot()
+    }
+
+
+    execute(operation, args = []) {
+        if(!UnnodeStore.operations.includes(operation)) {
+            throw new Error(`Unknown store operation: ${operation}`)
+        }
+
+        return this[operation](...args)
+    }
+
+
+    get(key) {
+        const entry = this._getEntry(key)
+
+        return entry ? entry.value : null
+    }
+
+
+    set(key, value, ttl = null) {
+        this._validateKey(key)
+
+        this._data.set(key, {
+            value:      value === undefined ? null : value,
+            expiresAt:  this._expiresAt(ttl)
+        })
+
+        this._dirty = true
+
+        return true
+    }
+
+
+    del(key) {
+        const existed = this._getEntry(key) !== null
+
+        this._data.delete(key)
+
+        if(existed) {
+            this._dirty = true
+        }
+
+        return existed
+    }
+
+
+    incr(key, increment = 1) {
+        this._validateKey(key)
+
+        if(typeof increment !== 'number' || isNaN(increment)) {
+            throw new Error('Store increment must be a number')
+        }
+
+        const entry = this._getEntry(key)
+
+        if(entry !== null && typeof entry.value !== 'number') {
+            throw new Error(`Store value at "${key}" is not a number`)
+        }
+
+        const value = (entry !== null ? entry.value : 0) + increment
+
+        // Incrementing keeps an existing TTL
+        this._data.set(key, {
+            value:      value,
+            expiresAt:  entry !== null ? entry.expiresAt : null
+        })
+
+        this._dirty = true
+
+        return value
+    }
+
+
+    expire(key, ttl) {
+        const entry = this._getEntry(key)
+
+        if(entry === null) {
+            return false
+        }
+
+        entry.expiresAt = this._expiresAt(ttl)
+
+        this._dirty = true
+
+        return true
+    }
+
+
+    // Remaining time to live in ms, null if the key has no TTL or does not exist
+    ttl(key) {
+        const entry = this._getEntry(key)
+
+        if(entry === null || entry.expiresAt === null) {
+            return null
+        }
+
+        return entry.expiresAt - Date.now()
+    }
+
+
+    keys() {
+        this._sweep()
+
+        return [...this._data.keys()]
+    }
+
+
+    saveSnapshot() {
+        if(this._snapshotPath === null || this._dirty === false) {
+            return false
+        }
+
+        this._sweep()
+
+        const snapshot = {}
+
+        this._data.forEach((entry, key) => {
+            snapshot[key] = entry
+        })
+
+        try {
+            fs.mkdirSync(path.dirname(this._snapshotPath), { recursive: true })
+
+            // Write to a temporary file first so a crash never leaves a half-written snapshot
+            const tmpPath = `${this._snapshotPath}.tmp`
+
+            fs.writeFileSync(tmpPath, JSON.stringify(snapshot))
+            fs.renameSync(tmpPath, this._snapshotPath)
+
+            this._dirty = false
+
+            return true
+        } catch(error) {
+            masterLogger.safeError('error', `Unable to write store snapshot to ${this._snapshotPath}`, error)
+            return false
+        }
+    }
+
+
+    _loadSnapshot() {
+        const snapshotData = utils.readFileSync(this._snapshotPath)
+
+        if(snapshotData === null) {
+            return
+        }
+
+        const [snapshot, error] = utils.parseJson(snapshotData)
+
+        if(error !== null || !utils.isObject(snapshot)) {
+            masterLogger.log('error', `Store snapshot ${this._snapshotPath} is not valid JSON, ignoring it`)
+            return
+        }
+
+        Object.entries(snapshot).forEach(([key, entry]) => {
+            if(utils.isObject(entry)) {
+                this._data.set(key, { value: entry.value, expiresAt: entry.expiresAt || null })
+            }
+        })
+
+        this._sweep()
+
+        masterLogger.log('debug', `Loaded ${this._data.size} keys from store snapshot ${this._snapshotPath}`)
+    }
+
+
+    _getEntry(key) {
+        const entry = this._data.get(key)
+
+        if(entry === undefined) {
+            return null
+        }
+
+        if(entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+            this._data.delete(key)
+            this._dirty = true
+            return null
+        }
+
+        return entry
+    }
+
+
+    _expiresAt(ttl) {
+        if(ttl === null || ttl === undefined) {
+            return null
+        }
+
+        if(typeof ttl !== 'number' || isNaN(ttl) || ttl <= 0) {
+            throw new Error('Store TTL must be a positive number of milliseconds')
+        }
+
+        return Date.now() + ttl
+    }
+
+
+    _validateKey(key) {
+        if(typeof key !== 'string' || key.length === 0) {
+            throw new Error('Store key must be a non-empty string')
+        }
+    }
+
+
+    _sweep() {
+        this._data.forEach((entry, key) => this._getEntry(key))
+    }
+
+}
+
+
+/*
+
+Worker side store client, every operation is a request to the master
+
+*/
+class UnnodeStoreClient {
+    _request = null
+
+
+    constructor(requestFunc) {
+        this._request = requestFunc
+    }
+
+
+    get(key)                    { return this._execute('get', [key]) }
+    set(key, value, ttl = null) { return this._execute('set', [key, value, ttl]) }
+    del(key)                    { return this._execute('del', [key]) }
+    incr(key, increment = 1)    { return this._execute('incr', [key, increment]) }
+    expire(key, ttl)            { return this._execute('expire', [key, ttl]) }
+    ttl(key)                    { return this._execute('ttl', [key]) }
+    keys()                      { return this._execute('keys', []) }
+
+
+    _execute(operation, args) {
+        return this._request('store', { 'operation': operation, 'args': args })
+    }
+
+}
+
+
+export { UnnodeStore, UnnodeStoreClient }
@@ -0,0 +1,172 @@
+//
+//
+// Unnode.js - A Node.js back end framework
+//
+// https://unnodejs.org
+//
+// Copyright (c) 2020, 2021 RicForge - https://ricforge.com
+//
+// RicForge is a Nurminen Development Oy Ltd organization - https://nurminen.dev
+//
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to
+// deal in the Software without restriction, including without limitation the
+// rights to use, copy, modify, merge, publish, distribute, sublicense, and/or
+// sell copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+// FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+// DEALINGS IN THE SOFTWARE.
+//
+//
+
+
+
+'use strict'
+
+import { execFile }         from 'node:child_process'
+
+
+/*
+
+systemd integration
+
+Readiness notification: the master reports READY=1, STATUS=, STOPPING=1
+and WATCHDOG=1 to the service manager over NOTIFY_SOCKET. Node.js can't
+send on AF_UNIX datagram sockets, so messages are delivered with the
+systemd-notify tool. As systemd-notify runs as a child process, the unit
+needs NotifyAccess=all:
+
+    [Service]
+    Type=notify
+    NotifyAccess=all
+    WatchdogSec=30
+
+Socket activation: sockets passed in with LISTEN_FDS (starting from fd 3)
+are used by runServer() instead of binding ports. Sockets named "http" and
+"https" with FileDescriptorName= are used for the HTTP and HTTPS servers,
+unnamed sockets are taken in order: first HTTP, then HTTPS. In cluster
+mode workers listen on the fd through the master, which owns the sockets.
+
+Any datagram socket bound at NOTIFY_SOCKET can stand in for systemd.
+
+*/
+
+const SD_LISTEN_FDS_START = 3
+
+
+class UnnodeSystemd {
+    _watchdogTimer  = null
+
+
+    isNotifyEnabled() {
+        return typeof process.env.NOTIFY_SOCKET === 'string' && process.env.NOTIFY_SOCKET.length > 0
+    }
+
+
+    /*
+     * Send state assignments to the service manager, e.g.
+     * notify({ 'READY': 1, 'STATUS': 'All workers online' })
+     * Resolves to false if notifications are disabled or sending failed.
+     */
+    notify(state) {
+        return new Promise((resolve) => {
+            if(!this.isNotifyEnabled()) {
+                return resolve(false)
+            }
+
+            const assignments = Object.entries(state).map(([key, value]) => `${key}=${String(value).replace(/\n/g, ' ')}`)
+
+            execFile('systemd-notify', ['--no-block', `--pid=${process.pid}`, ...assignments], { 'timeout': 5000 }, (error) => {
+                resolve(!error)
+            })
+        })
+    }
+
+
+    /*
+     * Watchdog interval in ms as requested by the service manager
+     * (WatchdogSec=), or null if the watchdog is not enabled for us
+     */
+    watchdogInterval() {
+        const usec = parseInt(process.env.WATCHDOG_USEC)
+
+        if(isNaN(usec) || usec <= 0) {
+            return null
+        }
+
+        if(process.env.WATCHDOG_PID && parseInt(process.env.WATCHDOG_PID) !== process.pid) {
+            return null
+        }
+
+        return Math.floor(usec / 1000)
+    }
+
+
+    // Send WATCHDOG=1 at half the watchdog interval while isHealthy() returns true
+    startWatchdog(isHealthy) {
+        const interval = this.watchdogInterval()
+
+        if(interval === null || !this.isNotifyEnabled() || this._watchdogTimer !== null) {
+            return false
+        }
+
+        this._watchdogTimer = setInterval(() => {
+            if(isHealthy()) {
+                this.notify({ 'WATCHDOG': 1 })
+            }
+        }, Math.max(Math.floor(interval / 2), 1))
+
+        return true
+    }
+
+
+    stopWatchdog() {
+        clearInterval(this._watchdogTimer)
+        this._watchdogTimer = null
+    }
+}
+
+
+/*
+ * Sockets passed by systemd socket activation: { http: fd, https: fd },
+ * either can be null. Returns null if the process was not socket activated.
+ * LISTEN_PID names the master, so cluster workers check their parent.
+ */
+function listenFds(isClusterWorker = false) {
+    const count         = parseInt(process.env.LISTEN_FDS)
+    const listenPid     = parseInt(process.env.LISTEN_PID)
+    const expectedPid   = isClusterWorker ? process.ppid : process.pid
+
+    if(isNaN(count) || count <= 0 || listenPid !== expectedPid) {
+        return null
+    }
+
+    const fds   = Array.from({ length: count }, (_, idx) => SD_LISTEN_FDS_START + idx)
+    const names = (process.env.LISTEN_FDNAMES || '').split(':')
+
+    const named = (name) => {
+        const idx = names.indexOf(name)
+        return idx >= 0 && idx < count ? fds[idx] : null
+    }
+
+    if(named('http') !== null || named('https') !== null) {
+        return { 'http': named('http'), 'https': named('https') }
+    }
+
+    return { 'http': fds[0], 'https': count > 1 ? fds[1] : null }
+}
+
+
+export const systemd = new UnnodeSystemd()
+
+export { listenFds }
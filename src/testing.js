@@ -0,0 +1,181 @@
+//
+//
+// Unnode.js - A Node.js back end framework
+//
+// https://unnodejs.org
+//
+// Copyright (c) 2020, 2021 RicForge - https://ricforge.com
+//
+// RicForge is a Nurminen Development Oy Ltd organization - https://nurminen.dev
+//
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to
+// deal in the Software without restriction, including without limitation the
+// rights to use, copy, modify, merge, publish, distribute, sublicense, and/or
+// sell copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+// FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+// DEALINGS IN THE SOFTWARE.
+//
+//
+
+
+
+'use strict'
+
+import http                         from 'http'
+import { Duplex }                   from 'stream'
+
+import { workerLogger }             from './logger.js'
+import { UnnodeWorker }             from './worker.js'
+
+import { ExpressVhostRouter }       from '../backends/express-vhost-router.js'
+
+
+/*
+
+In-process test server
+
+Builds the same Express app a worker would (vhosts, routes, controllers)
+without forking or listening on a port, and lets tests inject requests
+straight into it:
+
+    const server = await createTestServer({ serverDir, config })
+    const res    = await server.request({ url: '/api/ping', host: 'example.com' })
+    await server.close()
+
+config is a server config array; if omitted, the server config file is
+loaded from serverDir like a real worker does. options are passed on to
+worker.setupServer(). Log messages from setup, requests and close() are
+captured into server.logs instead of being sent to the master process,
+each test server only sees its own.
+
+The worker behind the server is server.worker, the worker export of
+unnode.js is only set in worker processes. workerLogger can be used by
+controllers as in a worker.
+
+Master services (store, pub/sub, scheduler) are not available to the
+test worker, nothing is sent over IPC even when the test runner has an
+IPC channel to its parent.
+
+*/
+export async function createTestServer({ serverDir, config = null, options = {}, wildcardRoute = true } = {}) {
+    if(typeof serverDir !== 'string' || serverDir.length === 0) {
+        throw new Error('createTestServer: serverDir is required')
+    }
+
+    const worker = new UnnodeWorker({ 'standalone': true, 'vhostRouter': new ExpressVhostRouter() })
+
+    const logs = []
+    const logSink = (entry) => { logs.push(entry) }
+    const withLogs = (fn) => workerLogger.runWithSink(logSink, fn)
+
+    await withLogs(async () => {
+        const setupOptions = config !== null ? Object.assign({}, options, { 'serverConfig': config }) : options
+
+        await worker.setupServer(serverDir, setupOptions)
+
+        if(wildcardRoute === true) {
+            worker.addWildcardRoute(false)
+        }
+    })
+
+    const app = worker.getServerApp()
+    const httpServer = http.createServer(app)
+
+    return {
+        'app': app,
+        'worker': worker,
+        'logs': logs,
+        'request': (options) => withLogs(() => injectRequest(httpServer, options)),
+        'clearLogs': () => { logs.length = 0 },
+        'close': () => withLogs(() => worker.shutdownServer())
+    }
+}
+
+
+function injectRequest(httpServer, { method = 'GET', url = '/', host = 'localhost', headers = {}, body = undefined } = {}) {
+    const requestHeaders = Object.assign({ 'host': host }, headers)
+
+    if(body !== undefined && body !== null && typeof body === 'object' && !Buffer.isBuffer(body)) {
+        body = JSON.stringify(body)
+
+        if(!Object.keys(requestHeaders).some(header => header.toLowerCase() === 'content-type')) {
+            requestHeaders['content-type'] = 'application/json'
+        }
+    }
+
+    return new Promise((resolve, reject) => {
+        const [clientSocket, serverSocket] = createSocketPair()
+
+        httpServer.emit('connection', serverSocket)
+
+        const req = http.request({
+            'method': method.toUpperCase(),
+            'path': url,
+            'headers': requestHeaders,
+            'createConnection': () => clientSocket
+        }, (res) => {
+            const chunks = []
+
+            res.on('data', chunk => chunks.push(chunk))
+            res.on('end', () => {
+                clientSocket.destroy()
+                serverSocket.destroy()
+
+                resolve({
+                    'status': res.statusCode,
+                    'headers': res.headers,
+                    'body': Buffer.concat(chunks).toString('utf8')
+                })
+            })
+        })
+
+        req.on('error', (error) => {
+            clientSocket.destroy()
+            serverSocket.destroy()
+            reject(error)
+        })
+
+        req.end(body)
+    })
+}
+
+
+// Two connected in-memory streams standing in for a TCP socket
+function createSocketPair() {
+    const client = new Duplex({
+        read() {},
+        write(chunk, encoding, callback) { server.push(chunk); callback() },
+        final(callback) { server.push(null); callback() }
+    })
+
+    const server = new Duplex({
+        read() {},
+        write(chunk, encoding, callback) { client.push(chunk); callback() },
+        final(callback) { client.push(null); callback() }
+    })
+
+    for(const socket of [client, server]) {
+        socket.remoteAddress = '127.0.0.1'
+        socket.remotePort    = 0
+        socket.encrypted     = false
+        socket.setTimeout    = () => socket
+        socket.setNoDelay    = () => socket
+        socket.setKeepAlive  = () => socket
+        socket.ref           = () => socket
+        socket.unref         = () => socket
+    }
+
+    return [client, server]
+}
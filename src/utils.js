@@ -35,7 +35,6 @@ import * as R            from 'ramda'
 import iso               from 'iso-3166-1'
 import node_fetch        from 'node-fetch'
 import AbortController   from 'abort-controller'
-import requestIp         from 'request-ip'
 import moment            from 'moment-timezone'
 
 
@@ -204,21 +203,18 @@ function safeError(error) {
 }
 
 
+// Client address, protocol and host follow the trusted proxy setting, see proxy.js
 function getClientIp(req) {
-    let ip = '<unknown>'
+    const ip = req.ip || (req.socket ? req.socket.remoteAddress : null)
 
-    try {
-        ip = requestIp.getClientIp(req)
-    } catch(e) { }
-
-    return ip
+    return ip || '<unknown>'
 }
 
 
 function getRequestFullUrl(req, removeQuery = false) {
-    const protocol = req.headers["x-forwarded-proto"] || req.protocol
+    const host = req.forwarded ? req.forwarded.host : req.get('host')
     const url = removeQuery ? req.originalUrl.split("?").shift() : req.originalUrl
-    return protocol + '://' + req.get('host') + url
+    return req.protocol + '://' + host + url
 }
 
 
@@ -30,10 +30,15 @@
 //
 
 
+import cluster                      from 'cluster'
+import fs                           from 'fs'
+import net                          from 'net'
 import path                         from 'path'
+import { monitorEventLoopDelay, performance } from 'perf_hooks'
 import tls                          from 'tls'
 import http                         from 'http'
 import https                        from 'https'
+import http2                        from 'http2'
 import httpTerminator               from 'http-terminator'
 import express                      from 'express'
 import helmet                       from 'helmet'
@@ -44,13 +49,164 @@ import cacheControl                 from 'express-cache-controller'
 
 import { workerLogger as logger }   from './logger.js'
 import * as utils                   from './utils.js'
+import { UnnodeStoreClient }        from './store.js'
+import { normalizeJobOptions }      from './scheduler.js'
+import { UnnodeMetrics }            from './metrics.js'
+import { listenFds }                from './systemd.js'
+import { readCertificateFiles, certificateInfo, watchFiles } from './certificates.js'
+import { ACME_CHALLENGE_PATH, acmeDomainGroups, acmeCertificatePaths } from './acme.js'
+import { HostMatcher }              from './host-matcher.js'
+import { forwardedMiddleware }      from './proxy.js'
+import { loadServerConfig, validateServerConfig } from './server-config.js'
+import { http2RequestHandler, enableHttp2, createHttp2Terminator } from './http2.js'
+import * as ipc                     from './ipc.js'
+import { UnnodeValidationError, workerOptionsSchema, resolveOptions } from './options.js'
 
 import vhostRouter                  from '../backends/express-vhost-router.js'
 
 const handle = utils.handle
 
 
+// Listener definitions are validated in options.js, fill in defaults from worker options
+function normalizeListener(listener, options) {
+    const normalized = Object.assign({}, listener)
+
+    if(normalized.protocol === 'https' && normalized.http2 === undefined) {
+        normalized.http2 = options.http2
+    }
+
+    if(normalized.port !== undefined && normalized.host === undefined) {
+        normalized.host = options.listenHost
+    }
+
+    if(normalized.defaultVhost === undefined && options.defaultVhost !== null) {
+        normalized.defaultVhost = options.defaultVhost
+    }
+
+    if(typeof normalized.mode === 'string') {
+        normalized.mode = parseInt(normalized.mode, 8)
+    }
+
+    return normalized
+}
+
+
+function describeListener(listener) {
+    if(listener.fd !== undefined) {
+        return `systemd socket (fd ${listener.fd})`
+    }
+
+    if(listener.path !== undefined) {
+        return `unix:${listener.path}`
+    }
+
+    return listener.host.includes(':') ? `[${listener.host}]:${listener.port}` : `${listener.host}:${listener.port}`
+}
+
+
+/*
+ * Remove a Unix socket file left behind by a previous run. Other workers of
+ * this cluster may already be listening on it through the master, so only
+ * a socket that nobody answers on and that predates the master is removed.
+ */
+async function removeStaleSocket(socketPath) {
+    let stat = null
+
+    try {
+        stat = fs.statSync(socketPath)
+    } catch(_) {
+        return
+    }
+
+    if(!stat.isSocket()) {
+        throw new Error(`Cannot listen on ${socketPath}: file exists and is not a socket`)
+    }
+
+    const clusterStarted = parseInt(process.env.UNNODE_MASTER_STARTED) || performance.timeOrigin
+
+    if(stat.ctimeMs >= clusterStarted) {
+        return
+    }
+
+    const inUse = await new Promise((resolve) => {
+        const probe = net.connect(socketPath)
+        probe.once('connect', () => {
+            probe.destroy()
+            resolve(true)
+        })
+        probe.once('error', () => resolve(false))
+    })
+
+    if(!inUse) {
+        logger.log('debug', `Removing stale socket ${socketPath}`)
+        fs.rmSync(socketPath, { force: true })
+    }
+}
+
+
+/*
+ * Vhost forceHttps and canonicalHost redirects, a single redirect when both
+ * apply. req.secure and req.hostname follow the trustedProxies option, so
+ * forwarded protocol and host are used behind a trusted proxy.
+ *
+ * forceHttps: true or { port, status }, port defaults to 443, status to 301
+ * canonicalHost: 'example.com' or 'example.com:8080'
+ */
+function vhostRedirectMiddleware(config) {
+    const forceHttps    = config.forceHttps === true ? {} : config.forceHttps || null
+    // Host names are compared (and redirected to) in lowercase
+    const canonicalHost = config.canonicalHost ? config.canonicalHost.toLowerCase() : null
+    const canonicalName = canonicalHost !== null ? canonicalHost.replace(/:\d+$/, '') : null
+
+    return (req, res, next) => {
+        const toHttps       = forceHttps !== null && !req.secure
+        const toCanonical   = canonicalName !== null && String(req.hostname).toLowerCase() !== canonicalName
+
+        if(!toHttps && !toCanonical) {
+            return next()
+        }
+
+        let host = toCanonical ? canonicalHost : req.hostname
+
+        if(toHttps) {
+            host = host.replace(/:\d+$/, '') + (forceHttps.port && forceHttps.port !== 443 ? `:${forceHttps.port}` : '')
+        }
+
+        const status = toHttps && forceHttps.status ? forceHttps.status : 301
+
+        res.redirect(status, `${toHttps ? 'https' : req.protocol}://${host}${req.originalUrl}`)
+    }
+}
+
+
+// hsts: true or { maxAge (seconds), includeSubDomains, preload }, sent on secure requests only
+function hstsMiddleware(hsts) {
+    const options = hsts === true ? {} : hsts
+
+    const directives = [`max-age=${options.maxAge !== undefined ? options.maxAge : 15552000}`]
+
+    if(options.includeSubDomains !== false) {
+        directives.push('includeSubDomains')
+    }
+
+    if(options.preload === true) {
+        directives.push('preload')
+    }
+
+    const headerValue = directives.join('; ')
+
+    return (req, res, next) => {
+        if(req.secure) {
+            res.setHeader('Strict-Transport-Security', headerValue)
+        }
+        next()
+    }
+}
+
+
 class UnnodeWorker {
+    _options                = null
+    _listenFds              = null
     _serverConfig           = null
 
     _serverApp              = null
@@ -61,31 +217,231 @@ class UnnodeWorker {
     _serverQuitting         = false
     _shutdownCallback       = null
 
-    _serverInsecure         = null
-    _serverSecure           = null
-    _httpTerminator         = null
-    _httpsTerminator        = null
+    _servers                = []
+
+    // Vhost config entry => SecureContext, replaced as a whole on certificate reload
+    _vhostSecureContexts    = new Map()
+
+    // Vhost pattern => config entry, for picking certificates by SNI
+    _sniMatcher             = new HostMatcher()
+
+    // Request => listener it arrived on, for listeners with a defaultVhost
+    _requestListeners       = new WeakMap()
+    _unwatchCertificates    = null
+
+    // Resolved acmeDir when ACME is enabled
+    _acmeDir                = null
+
+    _eventLoopDelay         = null
+    _requestCount           = 0
+
+    _subscriptions          = new Map()
+
+    _masterRequests         = new Map()
+    _masterRequestId        = 0
+
+    store                   = new UnnodeStoreClient(this._requestToMaster.bind(this))
 
-    _pingInterval           = null
+    _jobs                   = new Map()
+    _runningJobs            = new Map()
 
+    _vhostRouter            = null
+
+    // No process signals or master IPC, see constructor
+    _standalone             = false
+
+    _metrics                = new UnnodeMetrics()
+    _cpuSecondsCounted      = 0
+
+
+    /*
+     * options.standalone: don't hook into process signals or master IPC,
+     * used for in-process test servers (see testing.js)
+     * options.vhostRouter: vhost router instance, defaults to the shared one
+     */
+    constructor(options = {}) {
+        this._vhostRouter = options.vhostRouter || vhostRouter
+
+        if(options.standalone === true) {
+            this._standalone = true
+            return
+        }
 
-    constructor() {
         process.title = `unnode-worker (pid: ${process.pid})`
 
         process.on('SIGTERM', () => { })
         process.on('SIGINT', () => { })
         process.on('SIGUSR2', () => { })
+        process.on('SIGHUP', () => { })
+
+        // Event loop lag is reported to master on heartbeat requests
+        this._eventLoopDelay = monitorEventLoopDelay({ resolution: 20 })
+        this._eventLoopDelay.enable()
 
-        process.on('message', (message) => {
+        ipc.onMasterMessage((message) => {
             if(message === 'shutdown') {
                 this.shutdownServer()
+            } else if(utils.isObject(message) && message.type === 'request') {
+                this._handleMasterRequest(message)
+            } else if(utils.isObject(message) && message.type === 'response') {
+                this._masterResponse(message)
+            } else if(utils.isObject(message) && message.type === 'message') {
+                this._messageFromBus(message)
+            } else if(utils.isObject(message) && message.type === 'cancelJob') {
+                this._cancelJob(message.name)
+            }
+        })
+    }
+
+
+    /*
+     * Send a request to the master and resolve with its result. Rejects with
+     * the error returned by the master, or if it does not answer in time.
+     */
+    _requestToMaster(request, data = null, timeout = 5000) {
+        return new Promise((resolve, reject) => {
+            if(this._standalone || !ipc.isConnectedToMaster()) {
+                return reject(new Error('Not connected to master process'))
             }
+
+            const requestId = ++this._masterRequestId
+
+            const requestTimeout = setTimeout(() => {
+                this._masterRequests.delete(requestId)
+                reject(new Error(`Master did not respond to "${request}" within ${timeout} ms`))
+            }, timeout)
+
+            this._masterRequests.set(requestId, { resolve: resolve, reject: reject, timeout: requestTimeout })
+
+            this._sendToMaster({ 'type': 'request', 'request': request, 'requestId': requestId, 'data': data })
         })
     }
 
 
+    // Standalone workers (test servers) have no master, even if process.send exists
+    _sendToMaster(message) {
+        return this._standalone ? false : ipc.sendToMaster(message)
+    }
+
+
+    _masterResponse(message) {
+        const pending = this._masterRequests.get(message.requestId)
+
+        if(!pending) {
+            return
+        }
+
+        clearTimeout(pending.timeout)
+        this._masterRequests.delete(message.requestId)
+
+        if(message.error !== null) {
+            pending.reject(new Error(message.error))
+        } else {
+            pending.resolve(message.result)
+        }
+    }
+
+
+    async _handleMasterRequest(message) {
+        let result  = null
+        let error   = null
+
+        // A failing handler is answered with an error instead of rejecting unhandled
+        try {
+            switch(message.request) {
+                case 'status':
+                    result = {
+                        'uptime': process.uptime(),
+                        'memory': process.memoryUsage()
+                    }
+                    break
+                case 'heartbeat':
+                    // Mean and max lag in ms since the previous heartbeat
+                    result = {
+                        'eventLoopLag': this._eventLoopDelay.mean / 1e6,
+                        'eventLoopLagMax': this._eventLoopDelay.max / 1e6,
+                        'memory': process.memoryUsage(),
+                        'requests': this._requestCount,
+                        'uptime': process.uptime()
+                    }
+                    this._eventLoopDelay.reset()
+                    break
+                case 'metrics':
+                    result = this._collectMetrics()
+                    break
+                case 'reloadCertificates':
+                    result = this.reloadCertificates()
+                    break
+                case 'runJob':
+                    [result, error] = await handle(this._runJob(message.data.name))
+                    result  = result === undefined ? null : result
+                    error   = error === undefined ? null : utils.safeError(error)
+                    break
+                default:
+                    break
+            }
+        } catch(handlerError) {
+            result  = null
+            error   = utils.safeError(handlerError)
+        }
+
+        this._sendToMaster({ 'type': 'response', 'requestId': message.requestId, 'result': result, 'error': error })
+    }
+
+
+    /*
+     * Schedule a job that runs once per tick across the whole cluster. Call
+     * this in every worker, the master elects one worker to run each tick.
+     * The handler receives an AbortSignal that fires on timeout or shutdown.
+     *
+     * options: { cron: '0 * * * *' } or { interval: ms }, optional timeout in ms
+     */
+    schedule(name, options, handler) {
+        if(typeof handler !== 'function') {
+            throw new Error(`Job "${name}": handler must be a function`)
+        }
+
+        const jobOptions = normalizeJobOptions(name, options)
+
+        this._jobs.set(name, handler)
+
+        this._sendToMaster({ 'type': 'scheduleJob', 'name': name, 'options': jobOptions })
+
+        return true
+    }
+
+
+    async _runJob(name) {
+        const handler = this._jobs.get(name)
+
+        if(!handler) {
+            throw new Error(`Job "${name}" is not registered in worker ${process.pid}`)
+        }
+
+        const controller = new AbortController()
+
+        this._runningJobs.set(name, controller)
+
+        try {
+            return await handler(controller.signal)
+        } finally {
+            this._runningJobs.delete(name)
+        }
+    }
+
+
+    _cancelJob(name) {
+        if(this._runningJobs.has(name)) {
+            this._runningJobs.get(name).abort()
+        }
+    }
+
+
     getServerApp() { return this._serverApp }
 
+    // Stable worker slot number, kept by replacement workers across restarts
+    getSlot() { return ipc.isSingleProcess() ? 0 : parseInt(process.env.UNNODE_WORKER_SLOT) }
+
     registerShutdownCallback(shutdownCallback) {{
         if(typeof shutdownCallback === 'function') {
             this._shutdownCallback = shutdownCallback
@@ -93,47 +449,166 @@ class UnnodeWorker {
     }}
 
 
-    async setupServer(serverDir) {
+    /*
+     * Publish a message to all workers through the master, or only to the
+     * worker in options.slot. Subscribers in this worker receive it as well.
+     */
+    publish(channel, payload = null, options = {}) {
+        if(typeof channel !== 'string' || channel.length === 0) {
+            throw new Error('Message bus channel must be a non-empty string')
+        }
+
+        this._sendToMaster({
+            'type': 'publish',
+            'channel': channel,
+            'payload': payload,
+            'slot': Number.isInteger(options.slot) ? options.slot : null
+        })
+    }
+
+
+    subscribe(channel, callback) {
+        if(typeof callback !== 'function') {
+            return
+        }
+
+        if(!this._subscriptions.has(channel)) {
+            this._subscriptions.set(channel, new Set())
+        }
+
+        this._subscriptions.get(channel).add(callback)
+    }
+
+
+    unsubscribe(channel, callback) {
+        if(this._subscriptions.has(channel)) {
+            this._subscriptions.get(channel).delete(callback)
+        }
+    }
+
+
+    _messageFromBus(message) {
+        const subscribers = this._subscriptions.get(message.channel)
+
+        if(!subscribers) {
+            return
+        }
+
+        // Catches both throwing and rejecting (async) subscribers
+        subscribers.forEach((callback) => {
+            Promise.resolve()
+                .then(() => callback(message.payload, message.from))
+                .catch(error => logger.safeError('error', `Message bus subscriber for "${message.channel}" failed`, error))
+        })
+    }
+
+
+    /*
+     * options: see workerOptionsSchema in options.js, each option falls back
+     * to its environment variable
+     */
+    async setupServer(serverDir, options = {}) {
+        this._options = resolveOptions(workerOptionsSchema, options, 'Unnode.js worker options')
+
+        // systemd socket activation, overrides port and securePort
+        this._listenFds = listenFds(cluster.isWorker)
+
         this._serverApp = express()
 
-        this._serverApp.use(vhostRouter.middleware())
+        // Doesn't affect HTTP/1 requests, see http2.js
+        enableHttp2(this._serverApp)
+
+        // Client address, protocol and host come from trusted proxies only.
+        // Vhost apps inherit 'trust proxy' for anything else that reads it.
+        this._serverApp.set('trust proxy', this._options.trustedProxies !== null ? this._options.trustedProxies : false)
+        this._serverApp.use(forwardedMiddleware(this._options.trustedProxies, this._options.forwardedHeader))
+
+        // ACME HTTP-01 challenges are answered for any host, before vhost routing
+        if(this._options.acme === true) {
+            this._acmeDir = path.resolve(serverDir, this._options.acmeDir)
+            this._serverApp.get(`${ACME_CHALLENGE_PATH}:token`, this._acmeChallengeHandler.bind(this))
+        }
+
+        // Health routes come first so that probes work for any host and
+        // don't count towards worker recycling limits
+        if(this._options.healthRoutes === true) {
+            this._setupHealthRoutes()
+        }
 
-        const defaultConfigPath = path.join(serverDir, 'config', 'unnode-server-config.js')
+        // Number of requests served is reported to master for worker recycling
+        this._serverApp.use((req, res, next) => {
+            this._requestCount++
+            next()
+        })
 
-        const configPath = process.env.UNNODE_SERVER_CONFIG || defaultConfigPath
+        this._serverApp.use(this._metricsMiddleware())
+
+        // Unmatched hosts go to the defaultVhost of the listener, if any
+        this._serverApp.use(this._vhostRouter.middleware(true, (req) => {
+            const listener = this._requestListeners.get(req)
+            return listener !== undefined ? listener.defaultVhost : null
+        }))
 
         // Parse server config, vhosts, routes etc
-        this._serverConfig = await this._parseServerConfig(configPath)
+        this._serverConfig = await this._parseServerConfig(serverDir, this._options.serverConfig)
 
         for(const config of this._serverConfig) {
             await this._setupServerVhost(config, serverDir)
         }
 
-        this._pingInterval = setInterval(() => {
-            process.send({ 'type': 'pingConsole' })
-        }, 60000)
-
         return true
     }
 
 
     async _setupServerVhost(config, serverDir) {
-        const vhosts = config.vhost
-        const routes = config.routes
+        const vhosts    = config.vhost
+        const routes    = config.routes
+        const basePath  = config.basePath || '/'
+
+        // Route labels include the base path, req.route.path doesn't
+        const pathPrefix = basePath === '/' ? '' : basePath
 
         let isCatchAllVhost = false
 
         let vhostApp = this._serverApp
 
-        if(vhosts.length === 1 && vhosts[0] === '*') {
+        if(vhosts.length === 1 && vhosts[0] === '*' && basePath === '/') {
             isCatchAllVhost = true
         } else {
             vhostApp = express()
+            enableHttp2(vhostApp)
+
+            // Vhost apps aren't mounted with use(), so inherit settings such
+            // as 'trust proxy' from the server app like a mounted app would
+            delete vhostApp.settings['trust proxy']
+            delete vhostApp.settings['trust proxy fn']
+            Object.setPrototypeOf(vhostApp.settings, this._serverApp.settings)
+        }
+
+        // Vhost label for request metrics
+        vhostApp.use((req, res, next) => {
+            res.locals.unnodeVhost = vhosts.join(',') + pathPrefix
+            next()
+        })
+
+        if(config.forceHttps || config.canonicalHost) {
+            vhostApp.use(vhostRedirectMiddleware(config))
         }
 
         vhostApp.use(cors())
 
-        vhostApp.use(helmet(config.helmetOptions))
+        if(config.hsts === undefined) {
+            vhostApp.use(helmet(config.helmetOptions))
+        } else {
+            // Replaces helmet's HSTS header, which is also sent over plain HTTP
+            const { hsts, strictTransportSecurity, ...helmetOptions } = config.helmetOptions || {}
+
+            vhostApp.use(helmet({ ...helmetOptions, 'strictTransportSecurity': false }))
+
+            if(config.hsts !== false) {
+                vhostApp.use(hstsMiddleware(config.hsts))
+            }
+        }
 
         if(config.viewEngine) {
             vhostApp.set('view engine', config.viewEngine)
@@ -166,7 +641,12 @@ class UnnodeWorker {
             const routeCustomParameter = route.customParameter || null
 
             if(routeStatic) {
-                vhostApp.use(routePath, express.static(routeStatic, { etag: false, lastModified: false, maxAge: '16070400 sec' }))
+                const staticRouteLabel = (req, res, next) => {
+                    res.locals.unnodeRoute = pathPrefix + routePath
+                    next()
+                }
+
+                vhostApp.use(routePath, staticRouteLabel, express.static(routeStatic, { etag: false, lastModified: false, maxAge: '16070400 sec' }))
 
                 logger.log('debug', `UnnodeWorker#setupServer: Added ${vhosts.join(',')} ${routePath}, static file serve`)
             } else {
@@ -194,14 +674,97 @@ class UnnodeWorker {
 
         if(!isCatchAllVhost) {
             vhosts.map((vhost) => {{
-                vhostRouter.register(vhost, vhostApp)
+                this._vhostRouter.register(vhost, vhostApp, config.priority || 0, basePath)
             }})
         }
     }
 
 
+    _setupHealthRoutes() {
+        const noCache = (res) => res.set('Cache-Control', 'no-store')
+
+        // Liveness: the worker process is up and its event loop responds
+        this._serverApp.get(this._options.healthPath, (req, res) => {
+            noCache(res).json({ 'status': 'ok', 'pid': process.pid, 'uptime': process.uptime() })
+        })
+
+        // Readiness: fails as soon as shutdownServer() starts draining
+        this._serverApp.get(this._options.readyPath, (req, res) => {
+            if(this._serverQuitting === true) {
+                return noCache(res).status(503).json({ 'status': 'draining' })
+            }
+            noCache(res).json({ 'status': 'ready' })
+        })
+
+        this._serverApp.get(this._options.clusterStatusPath, async (req, res) => {
+            const [status, error] = await handle(this._requestToMaster('clusterStatus'))
+
+            if(error !== undefined) {
+                return noCache(res).status(503).json({ 'status': 'unavailable', 'error': error.message })
+            }
+
+            noCache(res).json(Object.assign({ 'status': status.workersReady > 0 ? 'ok' : 'degraded' }, status))
+        })
+
+        logger.log('debug', `UnnodeWorker#setupServer: Added health routes ${this._options.healthPath}, ${this._options.readyPath}, ${this._options.clusterStatusPath}`)
+    }
+
+
+    /*
+     * Per vhost and route request counters and latency histograms. Labels
+     * use the configured vhost and route patterns, not the request host and
+     * URL, to keep the number of label combinations bounded.
+     */
+    _metricsMiddleware() {
+        this._metrics
+            .counter('unnode_http_requests_total', 'HTTP requests served, by vhost, route, method and status code')
+            .histogram('unnode_http_request_duration_seconds', 'HTTP request duration in seconds, by vhost, route and method')
+
+        return (req, res, next) => {
+            const start = process.hrtime.bigint()
+
+            res.once('finish', () => {
+                const duration  = Number(process.hrtime.bigint() - start) / 1e9
+                const vhost     = res.locals.unnodeVhost || ''
+                const route     = req.route ? req.baseUrl + req.route.path : (res.locals.unnodeRoute || '')
+                const labels    = { 'vhost': vhost, 'route': route, 'method': req.method }
+
+                this._metrics.inc('unnode_http_requests_total', { ...labels, 'status': String(res.statusCode) })
+                this._metrics.observe('unnode_http_request_duration_seconds', labels, duration)
+            })
+
+            next()
+        }
+    }
+
+
+    // Process stats are sampled on each scrape, labelled by worker slot
+    _collectMetrics() {
+        const slot      = String(this.getSlot())
+        const memory    = process.memoryUsage()
+        const cpu       = process.cpuUsage()
+
+        this._metrics
+            .gauge('unnode_worker_resident_memory_bytes', 'Worker process resident memory size in bytes')
+            .gauge('unnode_worker_heap_used_bytes', 'Worker process V8 heap used in bytes')
+            .counter('unnode_worker_cpu_seconds_total', 'Worker process user and system CPU time in seconds')
+            .gauge('unnode_worker_uptime_seconds', 'Worker process uptime in seconds')
+
+        this._metrics.set('unnode_worker_resident_memory_bytes', { 'slot': slot }, memory.rss)
+        this._metrics.set('unnode_worker_heap_used_bytes', { 'slot': slot }, memory.heapUsed)
+        // Counter of CPU time, incremented by what was used since the last collection
+        const cpuSeconds = (cpu.user + cpu.system) / 1e6
+        this._metrics.inc('unnode_worker_cpu_seconds_total', { 'slot': slot }, cpuSeconds - this._cpuSecondsCounted)
+        this._cpuSecondsCounted = cpuSeconds
+
+        this._metrics.set('unnode_worker_uptime_seconds', { 'slot': slot }, process.uptime())
+
+        return this._metrics.snapshot()
+    }
+
+
     getWebBackend(host) {
-        return vhostRouter.getApp(host)
+        return this._vhostRouter.getApp(host)
     }
 
 
@@ -226,158 +789,213 @@ class UnnodeWorker {
 
 
     async runServer() {
-        // Default to listening on all interfaces if not set in ENV
-        const listenHost    = process.env.UNNODE_SERVER_LISTEN_HOST || '0.0.0.0'
-
-        // Respect PORT env var, e.g. Heroku dynamic port number
-        const portInsecure  = process.env.PORT || process.env.UNNODE_SERVER_INSECURE_PORT
+        // Master asked for a shutdown while this worker was still starting up
+        if(this._serverQuitting === true) {
+            logger.log('debug', 'Shutdown requested during startup, not starting servers')
+            return false
+        }
 
-        const portSecure    = process.env.UNNODE_SERVER_SECURE_PORT
+        const listeners = this._resolveListeners()
 
-        if(portInsecure && !isNaN(portInsecure) && portInsecure > 0) {
-            await this._startHttpServer(listenHost, portInsecure)
-        } else {
-            logger.log('debug', 'UNNODE_SERVER_INSECURE_PORT not set or not a valid port number, skipping nonsecure HTTP server start.')
+        if(listeners.length === 0) {
+            logger.log('debug', 'No ports (UNNODE_SERVER_INSECURE_PORT, UNNODE_SERVER_SECURE_PORT) or listeners configured.')
         }
 
-        if(portSecure && !isNaN(portSecure) && portSecure > 0) {
-            await this._startHttpSecureServer(listenHost, portSecure)
+        for(const listener of listeners) {
+            await this._startServer(listener)
         }
 
-        if(this._serverInsecure === null && this._serverSecure === null) {
-            logger.log('emerg', 'Neither HTTP nor HTTPS server was able to start, exiting...')
+        if(this._servers.length === 0) {
+            logger.log('emerg', 'No HTTP or HTTPS server was able to start, exiting...')
             return await this.shutdownServer()
         }
 
-        process.send({
+        if(this._options.tlsWatch === true) {
+            this._watchCertificates()
+        }
+
+        this._sendToMaster({
             'type': 'serverRunning',
-            'listen_host': listenHost,
-            'listen_port_insecure': (this._serverInsecure !== null) ? portInsecure : null,
-            'listen_port_secure': (this._serverSecure !== null) ? portSecure : null
+            'listeners': this._servers.map(({ listener }) => ({
+                'protocol': listener.protocol,
+                'address': describeListener(listener)
+            })),
+            // Master issues certificates for these domain groups
+            'acmeDomains': this._acmeDir !== null ? acmeDomainGroups(this._serverConfig) : [],
+            // Master waits for the drain before killing a retired worker
+            'shutdownDrainDelay': this._options.shutdownDrainDelay
         })
 
         return true
     }
 
 
-    _startHttpServer(listenHost, portInsecure) {
-        return new Promise((resolve, reject) => {
-            this._serverInsecure = http.createServer(this._serverApp)
-            this._serverInsecure.on('error', this._handleHttpServerError.bind(this))
-            this._serverInsecure.on('clientError', this._handleHttpClientError.bind(this))
-            this._serverInsecure.on('close', () => {
-                logger.log('debug', chalk.bgBlue('[Express] HTTP Server closed'))
-            })
-            this._serverInsecure.listen(portInsecure, listenHost, () => {
-                // Create terminator only after Express is listening for connections
-                this._httpTerminator = httpTerminator.createHttpTerminator({
-                    server: this._serverInsecure,
-                    gracefulTerminationTimeout: 5000
-                })
-                logger.log('debug', chalk.bgBlue(`[Express] Server listening on ${listenHost}:${portInsecure} (HTTP)`))
-                resolve(true)
-            })
-        })
+    /*
+     * Listener definitions to start: systemd socket activated fds, else the
+     * listeners option, else the port and securePort options on listenHost
+     */
+    _resolveListeners() {
+        if(this._listenFds !== null) {
+            return ['http', 'https']
+                .filter(protocol => this._listenFds[protocol] !== null)
+                .map(protocol => normalizeListener({ 'protocol': protocol, 'fd': this._listenFds[protocol] }, this._options))
+        }
+
+        if(this._options.listeners !== null) {
+            return this._options.listeners.map(listener => normalizeListener(listener, this._options))
+        }
+
+        const listeners = []
+
+        if(this._options.port !== null) {
+            listeners.push({ 'protocol': 'http', 'port': this._options.port })
+        }
+
+        if(this._options.securePort !== null) {
+            listeners.push({ 'protocol': 'https', 'port': this._options.securePort })
+        }
+
+        return listeners.map(listener => normalizeListener(listener, this._options))
     }
 
-    async _startHttpSecureServer(listenHost, portSecure) {
-        const tlsDefaultKeyData     = utils.readFileSync(process.env.UNNODE_SERVER_SECURE_DEFAULT_KEY)
-        const tlsDefaultCertData    = utils.readFileSync(process.env.UNNODE_SERVER_SECURE_DEFAULT_CERT)
-        const tlsDefaultCAdata      = utils.readFileSync(process.env.UNNODE_SERVER_SECURE_DEFAULT_CA)
 
-        return new Promise((resolve, reject) => {
-            let error = false
+    async _startServer(listener) {
+        const protocolName = listener.protocol.toUpperCase()
 
-            if(tlsDefaultKeyData === null) {
-                logger.log('alert', `Unable to read TLS key from UNNODE_SERVER_SECURE_DEFAULT_KEY; cannot start HTTPS server.`)
-                error = true
-            }
-            if(tlsDefaultCertData === null) {
-                logger.log('alert', `Unable to read TLS cert from UNNODE_SERVER_SECURE_DEFAULT_CERT; cannot start HTTPS server.`)
-                error = true
-            }
-            if(process.env.UNNODE_SERVER_SECURE_DEFAULT_CA && tlsDefaultCertData === null) {
-                logger.log('alert', `Unable to read trusted CA certs from UNNODE_SERVER_SECURE_DEFAULT_CA; cannot start HTTPS server.`)
-                error = true
-            }
+        let server = null
 
-            if(error) {
-                return reject()
-            }
-    
-            let options = {
-                key: tlsDefaultKeyData,
-                cert: tlsDefaultCertData,
+        const requestHandler = listener.defaultVhost !== undefined
+            ? (req, res) => {
+                this._requestListeners.set(req, listener)
+                this._serverApp(req, res)
             }
+            : this._serverApp
+
+        if(listener.protocol === 'https' && listener.http2 === true) {
+            // HTTP/1.1 clients are still served through ALPN fallback
+            const options = Object.assign(this._tlsServerOptions(listener), { 'allowHTTP1': true })
+            server = http2.createSecureServer(options, http2RequestHandler(requestHandler))
+        } else if(listener.protocol === 'https') {
+            server = https.createServer(this._tlsServerOptions(listener), requestHandler)
+        } else {
+            server = http.createServer(requestHandler)
+        }
 
-            if (tlsDefaultCAdata !== null) {
-                options['ca'] = tlsDefaultCAdata
-            }
+        server.on('error', this._handleHttpServerError.bind(this))
+        server.on('clientError', this._handleHttpClientError.bind(this))
+        server.on('close', () => {
+            logger.log('debug', chalk.bgBlue(`[Express] ${protocolName} Server closed (${describeListener(listener)})`))
+        })
 
-            if (process.env.UNNODE_SERVER_SECURE_MINVERSION) {
-                options['minVersion'] = process.env.UNNODE_SERVER_SECURE_MINVERSION
-            }
+        if(listener.path !== undefined) {
+            await removeStaleSocket(listener.path)
+        }
 
+        const listenOptions = listener.fd !== undefined ? { 'fd': listener.fd }
+            : listener.path !== undefined ? { 'path': listener.path }
+            : { 'port': listener.port, 'host': listener.host, 'ipv6Only': listener.ipv6Only === true }
 
-            //
-            // Setup SNI callback for vhost specific certificates
-            //
-            options['SNICallback'] = (domain, cb) => {
-                const vhostConfig = this._serverConfig.filter((config) => {
-                    const wildcardDomain = '*' + domain.substr(domain.indexOf('.'))
+        await new Promise(resolve => server.listen(listenOptions, resolve))
 
-                    if(config.vhost.includes(domain) || config.vhost.includes(wildcardDomain)) {
-                        return true
-                    }
+        if(listener.path !== undefined && listener.mode !== undefined) {
+            fs.chmodSync(listener.path, listener.mode)
+        }
 
-                    return false
-                })
+        // Create terminator only after Express is listening for connections
+        const terminatorOptions = {
+            server: server,
 
-                if(vhostConfig.length === 1) {
-                    cb(null, vhostConfig[0].secureContext)
-                } else {
-                    cb()
-                }
-            }
+            // This should be lower than the force-KILL timeout in master.js
+            gracefulTerminationTimeout: 5000
+        }
 
+        const terminator = listener.http2 === true
+            ? createHttp2Terminator(terminatorOptions)
+            : httpTerminator.createHttpTerminator(terminatorOptions)
 
-            this._serverSecure = https.createServer(options, this._serverApp)
+        this._servers.push({ 'server': server, 'terminator': terminator, 'listener': listener })
 
-            this._serverSecure.on('error', this._handleHttpServerError.bind(this))
-            this._serverSecure.on('clientError', this._handleHttpClientError.bind(this))
+        logger.log('debug', chalk.bgBlue(`[Express] Server listening on ${describeListener(listener)} (${protocolName}${listener.http2 === true ? ', HTTP/2' : ''})`))
+    }
 
-            this._serverSecure.on('close', () => {
-                logger.log('debug', chalk.bgBlue('[Express] HTTPS Server closed'))
-            })
 
-            this._serverSecure.listen(portSecure, listenHost, () => {
-                // Create terminator only after Express is listening for connections
-                this._httpsTerminator = httpTerminator.createHttpTerminator({
-                    server: this._serverSecure,
+    // tls: per listener key, cert, ca file paths and minVersion, default to secureDefault* options
+    _tlsContextOptions(tls = {}) {
+        const files = {
+            'key':  tls.key || this._options.secureDefaultKey,
+            'cert': tls.cert || this._options.secureDefaultCert,
+            'ca':   tls.ca || this._options.secureDefaultCa
+        }
 
-                    // This should be lower than the force-KILL timeout in master.js
-                    gracefulTerminationTimeout: 5000
-                })
+        const options = readCertificateFiles(files, 'HTTPS server')
 
-                logger.log('debug', chalk.bgBlue(`[Express] Server listening on ${listenHost}:${portSecure} (HTTPS)`))
+        const minVersion = tls.minVersion || this._options.secureMinVersion
 
-                resolve()
-            })
-        })
+        if (minVersion) {
+            options['minVersion'] = minVersion
+        }
+
+        return options
     }
 
 
-    async _parseServerConfig(configFilePath) {
+    _tlsServerOptions(listener) {
+        let options = null
+
         try {
-            const serverConfig = (await import(configFilePath)).default
+            options = this._tlsContextOptions(listener.tls)
+        } catch(error) {
+            logger.log('alert', `${error.message}; cannot start HTTPS server.`)
+            throw error
+        }
+
+
+        //
+        // Setup SNI callback for vhost specific certificates
+        //
+        options['SNICallback'] = (domain, cb) => {
+            let match = this._sniMatcher.match(domain)
 
-            if(!Array.isArray(serverConfig)) {
-                throw new Error(`Unnode.js server config file did not export an array`)
+            if(match === null && listener.defaultVhost !== undefined) {
+                match = this._sniMatcher.match(listener.defaultVhost)
             }
 
-            serverConfig.map((config, idx) => {
-                return this._parseConfigEntry(config, idx)
-            })
+            const secureContext = match !== null ? this._vhostSecureContexts.get(match.value) : undefined
+
+            if(secureContext !== undefined) {
+                cb(null, secureContext)
+            } else {
+                cb()
+            }
+        }
+
+        return options
+    }
+
+
+    // configFilePathOrArray: null for config/unnode-server-config.* in serverDir, see server-config.js
+    async _parseServerConfig(serverDir, configFilePathOrArray) {
+        try {
+            const { serverConfig, files } = await loadServerConfig(serverDir, configFilePathOrArray, this._options.configEnv)
+
+            if(files.length > 0) {
+                logger.log('debug', `UnnodeWorker#setupServer: Loaded server config from ${files.join(' + ')}`)
+            }
+
+            const { errors, warnings } = await validateServerConfig(serverConfig, serverDir)
+
+            warnings.forEach(warning => logger.log('warning', `Unnode.js server config ${warning}`))
+
+            // Entries are only set up once the whole config is valid
+            if(errors.length === 0) {
+                serverConfig.forEach((config, idx) => {
+                    this._parseConfigEntry(config, idx, errors)
+                })
+            }
+
+            if(errors.length > 0) {
+                throw new UnnodeValidationError('Invalid Unnode.js server config', errors)
+            }
 
             return serverConfig
         } catch (error) {
@@ -386,74 +1004,154 @@ class UnnodeWorker {
     }
 
 
-    _parseConfigEntry(config, idx) {
-        let configErrors = false
+    // config has passed validateServerConfig(), problems found here are added to errors
+    _parseConfigEntry(config, idx, errors) {
+        config.vhost.forEach((vhost) => {
+            // The catch-all vhost is served by the server app itself
+            if(vhost !== '*') {
+                this._sniMatcher.add(vhost, config, config.priority || 0)
+            }
+        })
 
-        if(!utils.isObject(config)) {
-            throw new Error(`Unnode.js server config entry at index ${idx} is not an object`)
+        // '/api' or '/api/' mounts the entry under /api on its vhosts
+        if(config.basePath !== undefined) {
+            config.basePath = config.basePath.length > 1 ? config.basePath.replace(/\/+$/, '') || '/' : '/'
         }
 
-        if(!Object.keys(config).includes('vhost')) {
-            throw new Error(`Unnode.js server config entry at index ${idx}: missing "vhost" property`)
+        const secureServer = this._resolveListeners().some(listener => listener.protocol === 'https')
+
+        if(secureServer) {
+            const files = this._vhostCertificateFiles(config)
+
+            if(files !== null) {
+                try {
+                    this._vhostSecureContexts.set(config, tls.createSecureContext(this._vhostContextOptions(files, config, idx)))
+                } catch(error) {
+                    errors.push(`[${idx}].secureContext: ${error.message}`)
+                }
+            } else if(this._acmeDir !== null && acmeDomainGroups([config]).length > 0) {
+                logger.log('debug', `Vhost "${config.vhost.join(', ')}" has no ACME certificate yet, using default credentials.`)
+            } else {
+                logger.log('debug', `Secure server requested but vhost "${config.vhost.join(', ')}" has no secureContext entry, using default credentials.`)
+            }
         }
 
-        if(!Array.isArray(config.vhost)) {
-            throw new Error(`Unnode.js server config entry at index ${idx}: "vhost" must be an array`)
+        return config
+    }
+
+
+    _vhostContextOptions(files, config, idx) {
+        return readCertificateFiles(files, `vhost at index ${idx} (${config.vhost.join(', ')})`)
+    }
+
+
+    // secureContext entry, else ACME issued files once they exist, else null
+    _vhostCertificateFiles(config) {
+        if(config.secureContext && utils.isObject(config.secureContext)) {
+            return config.secureContext
         }
 
-        config.vhost.map((vhost, idx2) => {
-            if(typeof vhost !== 'string') {
-                throw new Error(`Unnode.js server config entry at index ${idx}: vhost at idx ${idx2} is not a string`)
-            }
+        const [domains] = this._acmeDir !== null ? acmeDomainGroups([config]) : []
+
+        if(domains !== undefined) {
+            const files = acmeCertificatePaths(this._acmeDir, domains)
 
-            if(vhost.length === 0) {
-                throw new Error(`Unnode.js server config entry at index ${idx}: vhost at idx ${idx2} is empty`)
+            if(utils.isFileReadableSync(files.key) && utils.isFileReadableSync(files.cert)) {
+                return files
             }
-        })
+        }
 
-        let secureServer = false
-        const portSecure = process.env.UNNODE_SERVER_SECURE_PORT
+        return null
+    }
 
-        if(portSecure && !isNaN(portSecure)) {
-            secureServer = true
+
+    async _acmeChallengeHandler(req, res) {
+        const [keyAuthorization, error] = await handle(this._requestToMaster('acmeChallenge', { 'token': req.params.token }))
+
+        if(error !== undefined || keyAuthorization === null) {
+            return res.status(404).type('text/plain').send('Not found')
         }
 
-        if(secureServer) {
-            if(config.secureContext && utils.isObject(config.secureContext)) {
-                const contextKey  = utils.readFileSync(config.secureContext.key)
-                const contextCert = utils.readFileSync(config.secureContext.cert)
-                const contextCA   = utils.readFileSync(config.secureContext.ca)
+        res.type('text/plain').send(keyAuthorization)
+    }
 
-                if(contextKey === null) {
-                    throw new Error(`Unable to read secure context keyfile at index ${idx} (${config.vhost.join(', ')})`)
-                }
 
-                if(contextCert === null) {
-                    throw new Error(`Unable to read secure context certfile at index ${idx} (${config.vhost.join(', ')})`)
-                }
+    /*
+     * Re-read vhost and HTTPS listener certificates from disk. New TLS
+     * handshakes get the new certificates, established connections keep
+     * theirs. If any file fails to load, the current certificates stay.
+     */
+    reloadCertificates() {
+        const secureServers = this._servers.filter(({ listener }) => listener.protocol === 'https')
 
-                let secureContext = {
-                    key: contextKey,
-                    cert: contextCert
-                }
+        if(secureServers.length === 0) {
+            return false
+        }
+
+        const vhostContexts   = new Map()
+        const serverContexts  = []
+        const loaded          = []
+
+        try {
+            this._serverConfig.forEach((config, idx) => {
+                const files = this._vhostCertificateFiles(config)
 
-                if(config.secureContext.ca && contextCA === null) {
-                    throw new Error(`Unable to read secure context CA file at index ${idx} (${config.vhost.join(', ')})`)
-                } else if(config.secureContext.ca && contextCA !== null) {
-                    secureContext['ca'] = contextCA
+                if(files !== null) {
+                    const options = this._vhostContextOptions(files, config, idx)
+                    vhostContexts.set(config, tls.createSecureContext(options))
+                    loaded.push([`vhost ${config.vhost.join(', ')}`, options.cert])
                 }
+            })
 
-                config.secureContext = tls.createSecureContext(secureContext)
-            } else {
-                logger.log('debug', `Secure server requested but vhost "${config.vhost.join(', ')}" has no secureContext entry, using default credentials.`)
-            }
+            // createSecureContext() throws on e.g. a key that doesn't match
+            // the cert, setSecureContext() below would throw the same later
+            secureServers.forEach(({ server, listener }) => {
+                const options = this._tlsContextOptions(listener.tls)
+                tls.createSecureContext(options)
+                serverContexts.push([server, options])
+                loaded.push([describeListener(listener), options.cert])
+            })
+        } catch(error) {
+            logger.log('error', `TLS certificate reload failed, keeping current certificates: ${error.message}`)
+            return false
         }
 
-        if(configErrors === true) {
-            throw new Error(`Errors while parsing Unnode.js server config file, exiting.`)
+        this._vhostSecureContexts = vhostContexts
+        serverContexts.forEach(([server, options]) => server.setSecureContext(options))
+
+        loaded.forEach(([label, certData]) => {
+            const { subject, validTo, daysLeft } = certificateInfo(certData)
+            logger.log('notice', `Reloaded TLS certificate for ${label}: ${subject}, expires ${validTo.toISOString()} (${daysLeft} days)`)
+        })
+
+        return true
+    }
+
+
+    _watchCertificates() {
+        const secureListeners = this._servers
+            .filter(({ listener }) => listener.protocol === 'https')
+            .map(({ listener }) => listener.tls || {})
+
+        if(secureListeners.length === 0) {
+            return
         }
 
-        return config
+        const paths = [
+            ...secureListeners.flatMap(tlsFiles => [
+                tlsFiles.key || this._options.secureDefaultKey,
+                tlsFiles.cert || this._options.secureDefaultCert,
+                tlsFiles.ca || this._options.secureDefaultCa
+            ]),
+            ...this._serverConfig
+                .filter(config => config.secureContext && utils.isObject(config.secureContext))
+                .flatMap(config => [config.secureContext.key, config.secureContext.cert, config.secureContext.ca])
+        ]
+
+        this._unwatchCertificates = watchFiles(paths, () => {
+            logger.log('info', 'TLS certificate files changed, reloading certificates')
+            this.reloadCertificates()
+        }, this._options.tlsWatchInterval)
     }
 
 
@@ -461,25 +1159,37 @@ class UnnodeWorker {
         if(this._serverQuitting === false) {
             this._serverQuitting = true
 
-            clearInterval(this._pingInterval)
+            if(this._eventLoopDelay !== null) {
+                this._eventLoopDelay.disable()
+            }
+
+            this._runningJobs.forEach(controller => controller.abort())
+
+            if(this._unwatchCertificates !== null) {
+                this._unwatchCertificates()
+            }
+
+            // Keep serving while readiness fails, so load balancers have time
+            // to stop routing new requests here
+            const drainDelay = this._options !== null ? this._options.shutdownDrainDelay : 0
+
+            if(drainDelay > 0 && this._servers.length > 0) {
+                logger.log('debug', `Draining for ${drainDelay} ms before closing HTTP connections...`)
+                await new Promise(resolve => setTimeout(resolve, drainDelay))
+            }
 
             if(this._shutdownCallback && typeof this._shutdownCallback === 'function') {
                 await this._shutdownCallback()
             }
     
             // Gracefully exit HTTP(S) connections
-            if (this._httpTerminator !== null) {
-                logger.log('debug', 'Gracefully closing HTTP connections...')
-                await this._httpTerminator.terminate()
-            }
-
-            if (this._httpsTerminator !== null) {
-                logger.log('debug', 'Gracefully closing HTTPS connections...')
-                await this._httpsTerminator.terminate()
+            if (this._servers.length > 0) {
+                logger.log('debug', 'Gracefully closing HTTP(S) connections...')
+                await Promise.all(this._servers.map(({ terminator }) => terminator.terminate()))
             }
 
             // Send process shutdown request to master process
-            process.send({ 'type': 'shutdown' })
+            this._sendToMaster({ 'type': 'shutdown' })
         }
 
         return true
@@ -488,9 +1198,9 @@ class UnnodeWorker {
 
     _handleHttpServerError(error) {
         if(error.code === 'EACCES') {
-            logger.log('emerg', `Failed to start HTTP server: Access denied when binding to ${error.address} port ${error.port}`)
+            logger.log('emerg', `Failed to start HTTP server: Access denied when binding to ${error.address}${error.port !== undefined ? ` port ${error.port}` : ''}`)
         } else if(error.code === 'EADDRINUSE') {
-            logger.log('emerg', `Failed to start HTTP server: Address already in use: ${error.address}:${error.port}`)
+            logger.log('emerg', `Failed to start HTTP server: Address already in use: ${error.address}${error.port !== undefined ? `:${error.port}` : ''}`)
         } else {
             logger.log('emerg', `Failed to start HTTP server: ${error.code} (${error.errno}), syscall: ${error.syscall}, stack trace:\n${error.stack}`)
         }
@@ -544,4 +1254,8 @@ class UnnodeWorker {
 }
 
 
-export default new UnnodeWorker()
+export { UnnodeWorker }
+
+// Only hook into the process when it actually runs as a worker, so that
+// importing unnode elsewhere (master, test runners) leaves signals alone
+export default new UnnodeWorker({ 'standalone': !(cluster.isWorker || ipc.isSingleProcess()) })
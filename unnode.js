@@ -40,14 +40,27 @@ import { workerLogger as unnodeWorkerLogger } from './src/logger.js'
 
 import * as unnodeUtils from './src/utils.js'
 
+import { isSingleProcess as unnodeIsSingleProcess } from './src/ipc.js'
 
-export const master = cluster.isMaster ? unnodeMaster : null
-export const worker = cluster.isWorker ? unnodeWorker : null
 
-export const masterLogger = cluster.isMaster ? unnodeMasterLogger : null
-export const workerLogger = cluster.isWorker ? unnodeWorkerLogger : null
+// Single-process mode (UNNODE_WORKERS=0): master and worker in one process,
+// both isMaster and isWorker are true
+export const isSingleProcess = unnodeIsSingleProcess()
 
 export const isMaster = cluster.isMaster
-export const isWorker = cluster.isWorker
+export const isWorker = cluster.isWorker || isSingleProcess
+
+export const master = isMaster ? unnodeMaster : null
+export const worker = isWorker ? unnodeWorker : null
+
+export const masterLogger = isMaster ? unnodeMasterLogger : null
+
+// Also outside workers, so controllers can log under in-process test
+// servers (see testing.js), elsewhere it logs to the console
+export const workerLogger = unnodeWorkerLogger
 
 export const utils = unnodeUtils
+
+export { createTestServer } from './src/testing.js'
+
+export { UnnodeValidationError } from './src/options.js'